@@ -0,0 +1,58 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _ = require('lodash');
+const bedrock = require('bedrock');
+const storage = require('./storage');
+const config = bedrock.config;
+
+const logger = bedrock.loggers.get('app');
+
+const api = {};
+module.exports = api;
+
+/**
+ * Records a lifecycle event. The event is emitted as the bedrock event
+ * `bedrock-jwt-mongodb.<event>` and, if `config['jwt-mongodb'].audit.enable`
+ * is set, stored by the storage adapter (by default in the `jwtAudit`
+ * collection) until `config['jwt-mongodb'].audit.ttlInSecs` have passed.
+ *
+ * Recording never delays or fails the operation that is being recorded;
+ * errors are only logged.
+ *
+ * @param event the event, e.g. `token.signed`.
+ * @param details the event details:
+ *   [namespace] the ID of the namespace.
+ *   [kid] the key ID involved.
+ *   [actor] the ID of the actor that performed the operation.
+ *   [subject] the `sub` of the token involved.
+ *   [error] the error that caused a failure.
+ */
+api.record = (event, details) => {
+  const data = _.omitBy(details, _.isUndefined);
+  if(data.error) {
+    data.error = {name: data.error.name, message: data.error.message};
+  }
+  // the returned promise rejects if a listener fails, which must be handled
+  // so that a faulty listener cannot stop the process
+  bedrock.events.emit('bedrock-jwt-mongodb.' + event, data).catch(err =>
+    logger.error(
+      '[jwt-mongodb] error in listener of "' + event + '" event.', err));
+
+  const cfg = config['jwt-mongodb'].audit;
+  if(!cfg.enable) {
+    return;
+  }
+  const now = Date.now();
+  storage.getAdapter().insertAuditRecord(_.assign({
+    id: bedrock.util.uuid(),
+    event: event,
+    outcome: data.error ? 'failure' : 'success',
+    date: new Date(now),
+    expires: new Date(now + cfg.ttlInSecs * 1000)
+  }, data), () => {
+    // errors are logged by the storage adapter
+  });
+};
@@ -0,0 +1,173 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _ = require('lodash');
+const bedrock = require('bedrock');
+const crypto = require('crypto');
+const BedrockError = bedrock.util.BedrockError;
+const config = bedrock.config;
+
+const api = {};
+module.exports = api;
+
+const TYPE = 'JwtNamespaceExport';
+const VERSION = 1;
+// bundles may be derived with at most this many times the configured PBKDF2
+// iterations, so that a crafted bundle cannot tie up the importing process
+const MAX_ITERATIONS_FACTOR = 10;
+
+/**
+ * Encrypts an exported namespace into a portable bundle. The content is
+ * encrypted with AES-256-GCM under a key derived from the passphrase with
+ * PBKDF2-SHA256; the bundle's unencrypted properties are authenticated too.
+ *
+ * @param content the content to encrypt:
+ *   namespace the namespace configuration.
+ *   state the portable namespace state.
+ * @param passphrase the passphrase to encrypt with.
+ * @param callback(err, bundle) called once the operation completes.
+ */
+api.encrypt = (content, passphrase, callback) => {
+  if(typeof passphrase !== 'string' || passphrase.length === 0) {
+    return callback(
+      new TypeError('`options.passphrase` must be a non-empty string.'));
+  }
+  const bundle = {
+    type: TYPE,
+    version: VERSION,
+    namespace: content.namespace.id,
+    algorithm: content.namespace.algorithm,
+    created: new Date().toISOString(),
+    kdf: {
+      algorithm: 'PBKDF2-SHA256',
+      iterations: config['jwt-mongodb'].export.pbkdf2Iterations,
+      salt: crypto.randomBytes(16).toString('base64')
+    }
+  };
+  _deriveKey(passphrase, bundle.kdf, (err, key) => {
+    if(err) {
+      return callback(err);
+    }
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(_getAad(bundle));
+    const ciphertext = Buffer.concat([
+      cipher.update(JSON.stringify(content), 'utf8'), cipher.final()]);
+    bundle.encryption = {
+      algorithm: 'A256GCM',
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64')
+    };
+    bundle.ciphertext = ciphertext.toString('base64');
+    callback(null, bundle);
+  });
+};
+
+/**
+ * Decrypts a bundle produced by `encrypt`.
+ *
+ * @param bundle the bundle (or its JSON serialization).
+ * @param passphrase the passphrase the bundle was encrypted with.
+ * @param callback(err, content) called once the operation completes, `err`
+ *   is a `MalformedBundle` error if the bundle is not valid or has an
+ *   unsupported version and an `InvalidPassphrase` error if it cannot be
+ *   decrypted.
+ */
+api.decrypt = (bundle, passphrase, callback) => {
+  if(typeof passphrase !== 'string' || passphrase.length === 0) {
+    return callback(
+      new TypeError('`options.passphrase` must be a non-empty string.'));
+  }
+  if(typeof bundle === 'string') {
+    try {
+      bundle = JSON.parse(bundle);
+    } catch(e) {
+      return callback(_malformed('Bundle is not valid JSON.', e));
+    }
+  }
+  if(!(bundle && bundle.type === TYPE)) {
+    return callback(_malformed('Data is not a namespace export bundle.'));
+  }
+  if(bundle.version !== VERSION) {
+    return callback(_malformed(
+      'Unsupported namespace export bundle version.',
+      null, {version: bundle.version}));
+  }
+  if(!(typeof bundle.namespace === 'string' &&
+    typeof bundle.algorithm === 'string' &&
+    bundle.kdf && bundle.kdf.algorithm === 'PBKDF2-SHA256' &&
+    Number.isInteger(bundle.kdf.iterations) && bundle.kdf.iterations > 0 &&
+    typeof bundle.kdf.salt === 'string' &&
+    bundle.encryption && bundle.encryption.algorithm === 'A256GCM' &&
+    typeof bundle.encryption.iv === 'string' &&
+    typeof bundle.encryption.tag === 'string' &&
+    typeof bundle.ciphertext === 'string')) {
+    return callback(_malformed('Namespace export bundle is malformed.'));
+  }
+  const maxIterations =
+    config['jwt-mongodb'].export.pbkdf2Iterations * MAX_ITERATIONS_FACTOR;
+  if(bundle.kdf.iterations > maxIterations) {
+    return callback(_malformed(
+      'Namespace export bundle has too many PBKDF2 iterations.', null,
+      {iterations: bundle.kdf.iterations, maxIterations: maxIterations}));
+  }
+  _deriveKey(passphrase, bundle.kdf, (err, key) => {
+    if(err) {
+      return callback(err);
+    }
+    let content;
+    try {
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm', key, Buffer.from(bundle.encryption.iv, 'base64'),
+        {authTagLength: 16});
+      decipher.setAAD(_getAad(bundle));
+      decipher.setAuthTag(Buffer.from(bundle.encryption.tag, 'base64'));
+      content = Buffer.concat([
+        decipher.update(Buffer.from(bundle.ciphertext, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch(e) {
+      return callback(new BedrockError(
+        'Failed to decrypt bundle; the passphrase is wrong or the bundle ' +
+        'has been modified.', 'InvalidPassphrase',
+        {namespace: bundle.namespace, httpStatusCode: 400, 'public': true},
+        e));
+    }
+    try {
+      content = JSON.parse(content);
+    } catch(e) {
+      return callback(_malformed('Bundle content is not valid JSON.', e));
+    }
+    if(!(content && content.namespace &&
+      content.namespace.id === bundle.namespace &&
+      content.namespace.algorithm === bundle.algorithm)) {
+      return callback(_malformed(
+        'Bundle content does not match the bundle.', null,
+        {namespace: bundle.namespace}));
+    }
+    callback(null, content);
+  });
+};
+
+function _deriveKey(passphrase, kdf, callback) {
+  crypto.pbkdf2(
+    passphrase, Buffer.from(kdf.salt, 'base64'), kdf.iterations, 32,
+    'sha256', callback);
+}
+
+// the unencrypted properties that identify the bundle's content
+function _getAad(bundle) {
+  return Buffer.from(JSON.stringify([
+    bundle.type, bundle.version, bundle.namespace, bundle.algorithm,
+    bundle.created
+  ]), 'utf8');
+}
+
+function _malformed(message, cause, details) {
+  return new BedrockError(
+    message, 'MalformedBundle',
+    _.assign({}, details, {httpStatusCode: 400, 'public': true}),
+    cause || null);
+}
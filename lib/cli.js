@@ -0,0 +1,137 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const fs = require('fs');
+const Store = require('./store');
+const BedrockError = bedrock.util.BedrockError;
+const config = bedrock.config;
+
+const logger = bedrock.loggers.get('app');
+
+// the export or import requested on the command line, if any
+let operation = null;
+
+/**
+ * Adds the `jwt-export` and `jwt-import` commands to the application's
+ * command line, e.g.:
+ *
+ *   node app.js jwt-export my-namespace my-namespace.json \
+ *     --passphrase-file passphrase.txt
+ *   node app.js jwt-import my-namespace.json --on-conflict replace
+ *
+ * The passphrase is read from `--passphrase-file` or, if that is not given,
+ * from the `BEDROCK_JWT_PASSPHRASE` environment variable. The command runs
+ * once the application is ready and then exits the application via
+ * `bedrock.exit()`.
+ */
+bedrock.events.on('bedrock-cli.init', () => {
+  const passphraseHelp =
+    'Read the bundle passphrase from a file [BEDROCK_JWT_PASSPHRASE].';
+
+  const exportCommand = bedrock.program
+    .command('jwt-export <namespace> <file>')
+    .description('export a JWT namespace to an encrypted bundle file')
+    .option('--passphrase-file <file>', passphraseHelp)
+    .action((namespace, file) => {
+      config.cli.command = exportCommand;
+      operation = {type: 'export', namespace: namespace, file: file};
+    });
+
+  const importCommand = bedrock.program
+    .command('jwt-import <file>')
+    .description('import a JWT namespace from an encrypted bundle file')
+    .option('--passphrase-file <file>', passphraseHelp)
+    .option('--on-conflict <mode>',
+      'What to do if the namespace exists: fail, skip or replace. [fail]')
+    .action(file => {
+      config.cli.command = importCommand;
+      operation = {
+        type: 'import',
+        file: file,
+        onConflict: importCommand.onConflict
+      };
+    });
+});
+
+bedrock.events.on('bedrock-cli.ready', callback => {
+  if(!operation) {
+    return callback();
+  }
+  const passphraseFile = config.cli.command.passphraseFile;
+  try {
+    operation.passphrase = passphraseFile ?
+      fs.readFileSync(passphraseFile, 'utf8').replace(/\r?\n$/, '') :
+      process.env.BEDROCK_JWT_PASSPHRASE;
+  } catch(e) {
+    return callback(new BedrockError(
+      'Could not read passphrase file.', 'ConfigurationError',
+      {file: passphraseFile}, e));
+  }
+  if(!operation.passphrase) {
+    return callback(new BedrockError(
+      'A passphrase is required via --passphrase-file or the ' +
+      'BEDROCK_JWT_PASSPHRASE environment variable.', 'ConfigurationError'));
+  }
+  callback();
+});
+
+bedrock.events.on('bedrock.ready', callback => {
+  if(!operation) {
+    return callback();
+  }
+  const run = operation.type === 'export' ? _export : _import;
+  run(operation, err => {
+    if(err) {
+      logger.error('[jwt-mongodb] namespace ' + operation.type + ' failed.',
+        err);
+      // fails startup, which exits the application with an error status
+      return callback(err);
+    }
+    bedrock.exit();
+    callback();
+  });
+});
+
+function _export(options, callback) {
+  const store = new Store();
+  store.exportNamespace(options.namespace, {
+    passphrase: options.passphrase,
+    actor: 'cli'
+  }, (err, bundle) => {
+    if(err) {
+      return callback(err);
+    }
+    // the bundle contains the namespace's keys, keep it private
+    fs.writeFile(options.file, JSON.stringify(bundle, null, 2) + '\n',
+      {mode: 0o600}, err => {
+        if(!err) {
+          logger.info('[jwt-mongodb] namespace exported.',
+            {namespace: options.namespace, file: options.file});
+        }
+        callback(err);
+      });
+  });
+}
+
+function _import(options, callback) {
+  fs.readFile(options.file, 'utf8', (err, bundle) => {
+    if(err) {
+      return callback(err);
+    }
+    const store = new Store();
+    store.importNamespace(bundle, {
+      passphrase: options.passphrase,
+      onConflict: options.onConflict,
+      actor: 'cli'
+    }, (err, result) => {
+      if(!err) {
+        logger.info('[jwt-mongodb] namespace imported.',
+          {file: options.file, result: result});
+      }
+      callback(err);
+    });
+  });
+}
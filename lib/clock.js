@@ -0,0 +1,81 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const storage = require('./storage');
+const config = bedrock.config;
+
+const logger = bedrock.loggers.get('app');
+
+const api = {};
+module.exports = api;
+
+// offset of the storage backend's clock from the local clock in milliseconds
+let offset = null;
+// the storage adapter the offset was read from
+let source = null;
+// local time of the last synchronization
+let synced = 0;
+// callbacks waiting for a synchronization in progress
+let pending = null;
+
+/**
+ * Gets the current time according to the storage backend (by default the
+ * MongoDB server), the single source of truth for time-based decisions
+ * (e.g. HMAC key rotation) that must agree across nodes. The backend's clock
+ * offset is cached for `config['jwt-mongodb'].clock.syncIntervalInSecs`.
+ *
+ * If the backend's time cannot be read, the last known offset (or the local
+ * clock, if there is none) is used.
+ *
+ * @param callback(err, now) called once the operation completes with the
+ *   current time in milliseconds since the epoch.
+ */
+api.now = callback => {
+  const interval = config['jwt-mongodb'].clock.syncIntervalInSecs * 1000;
+  if(offset !== null && source === storage.getAdapter() &&
+    Date.now() - synced < interval) {
+    return callback(null, Date.now() + offset);
+  }
+  if(pending) {
+    return pending.push(callback);
+  }
+  pending = [callback];
+  _sync(() => {
+    const callbacks = pending;
+    pending = null;
+    const now = Date.now() + (offset || 0);
+    callbacks.forEach(callback => callback(null, now));
+  });
+};
+
+/**
+ * Clears the cached clock offset so that the next call to `now` reads the
+ * storage backend's time.
+ */
+api.reset = () => {
+  offset = null;
+  source = null;
+  synced = 0;
+};
+
+function _sync(callback) {
+  const adapter = storage.getAdapter();
+  const start = Date.now();
+  adapter.getTime((err, time) => {
+    const end = Date.now();
+    if(err) {
+      logger.warning(
+        '[jwt-mongodb] could not read storage backend time; using ' +
+        (offset === null ? 'local clock.' : 'last known clock offset.'), err);
+      return callback();
+    }
+    // assume the backend read its clock halfway through the round trip
+    offset = time.getTime() - Math.round((start + end) / 2);
+    source = adapter;
+    synced = end;
+    callback();
+  });
+}
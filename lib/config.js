@@ -5,3 +5,108 @@
 const config = require('bedrock').config;
 
 config['jwt-mongodb'] = {};
+const cfg = config['jwt-mongodb'];
+
+// namespaces to provision (or update to match) at startup, each with the
+// same options as `Store.provision`, e.g.:
+// {
+//   id: 'my-namespace',
+//   algorithm: 'HS256',
+//   clockToleranceInSecs: 60,
+//   tokenTtlInSecs: 3600
+// }
+cfg.namespaces = [];
+
+// JSON Web Key Set for asymmetric namespaces
+cfg.jwks = {};
+// set to true to serve the JWKS via `bedrock-express`
+cfg.jwks.enableRoute = false;
+cfg.jwks.route = '/.well-known/jwks.json';
+// value for the `max-age` directive of the route's `Cache-Control` header
+cfg.jwks.maxAgeInSecs = 300;
+
+// token introspection as per RFC 7662 (`Store.introspect`)
+cfg.introspection = {};
+// set to true to serve token introspection via `bedrock-express`
+cfg.introspection.enableRoute = false;
+cfg.introspection.route = '/jwt/introspect';
+// the IDs of the namespaces whose tokens may call the route, e.g. the
+// namespace of a support tool; no caller is accepted until this is set
+cfg.introspection.namespaces = [];
+// claims the caller's token must have, as for `requireJwt`
+cfg.introspection.requiredClaims = null;
+
+// in-process cache of namespaces used by `Store.sign` and `Store.verify`
+cfg.cache = {};
+cfg.cache.enable = true;
+// maximum number of cached namespaces
+cfg.cache.maxSize = 1000;
+// maximum time a namespace is cached
+cfg.cache.ttlInSecs = 30;
+// time after which a cached namespace is checked for changes made by other
+// nodes (by reading only its record's `meta.sequence`) before it is used
+// again; `0` checks before every use
+cfg.cache.syncIntervalInSecs = 5;
+
+// HMAC (`HS*`) namespaces
+cfg.hmac = {};
+// number of keys retained after rotation to verify previously signed tokens
+cfg.hmac.retainedKeys = 1;
+// time before the current key expires at which the next key is published,
+// should exceed `cfg.cache.ttlInSecs` so that all nodes know the next key
+// before it is used to sign
+cfg.hmac.prePublishInSecs = 60;
+
+// externally issued JWTs whose `kid` is a DID key URL, e.g.
+// `did:example:1234#key-1`, are verified with the key the DID resolves to
+cfg.did = {};
+// DIDs of the issuers whose tokens are accepted
+cfg.did.issuers = [];
+// the `aud` values that are accepted in such tokens, `null` accepts any
+cfg.did.audiences = null;
+cfg.did.clockToleranceInSecs = 60;
+// base URL for resolving DIDs via `did-io`, `null` uses its default
+cfg.did.baseUrl = null;
+// resolved DID documents are cached for this long
+cfg.did.cacheTtlInSecs = 300;
+cfg.did.cacheMaxSize = 1000;
+// minimum time between resolutions of a DID when a token's key is not found
+// in (or does not verify with) its cached DID document
+cfg.did.refreshIntervalInSecs = 30;
+
+// background worker that rotates HMAC keys before they expire and disables
+// namespaces whose `bedrock-key` key has been revoked
+cfg.worker = {};
+cfg.worker.enable = true;
+cfg.worker.intervalInSecs = 60;
+
+// MongoDB server clock, used for decisions that all nodes must agree on
+cfg.clock = {};
+// how often the offset of the server's clock from the local clock is read
+cfg.clock.syncIntervalInSecs = 60;
+
+// refresh tokens issued by `Store.issueTokenPair`
+cfg.refresh = {};
+// default refresh token TTL; each exchanged refresh token gets the same TTL
+cfg.refresh.tokenTtlInSecs = 60 * 60 * 24 * 30;
+
+// audit trail of lifecycle events (provisioning, signing, verification and
+// key rotation); the events are always emitted as bedrock events
+cfg.audit = {};
+// set to true to store events in the `jwtAudit` collection
+cfg.audit.enable = false;
+// time after which stored events are removed
+cfg.audit.ttlInSecs = 60 * 60 * 24 * 90;
+
+// encrypted namespace export bundles (`Store.exportNamespace`)
+cfg.export = {};
+// PBKDF2-SHA256 iterations used to derive a bundle's key from its passphrase;
+// imported bundles may use at most ten times as many
+cfg.export.pbkdf2Iterations = 100000;
+
+// key-encryption keys (KEKs) that wrap secret (HMAC) key material at rest
+cfg.kek = {};
+// KEKs by ID, each a base64-encoded 256-bit AES key
+cfg.kek.keys = {};
+// ID of the KEK used to wrap new key material, `null` stores it unwrapped
+cfg.kek.currentKeyId = null;
@@ -0,0 +1,152 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const BedrockError = bedrock.util.BedrockError;
+const config = bedrock.config;
+
+/**
+ * A DID resolver gets the DID documents whose public keys verify externally
+ * issued JWTs that identify their key via a DID key URL in their `kid`
+ * header. Custom resolvers (e.g. a local stand-in for tests) must implement
+ * the same methods as this class.
+ *
+ * This default resolver uses `did-io` with the document loader of
+ * `bedrock.jsonld` and `config['jwt-mongodb'].did.baseUrl`, if set.
+ */
+class DidIoResolver {
+  /**
+   * Gets a DID document.
+   *
+   * @param did the DID, e.g. `did:example:1234`.
+   * @param callback(err, document) called once the operation completes with
+   *   the DID document, whose `publicKey` entries have an `id`, a
+   *   `publicKeyPem` and, optionally, `owner` and `revoked` properties;
+   *   `err.httpStatusCode` (or `err.status`) is 404 if the DID does not
+   *   exist.
+   */
+  getDidDocument(did, callback) {
+    const options = {};
+    const baseUrl = config['jwt-mongodb'].did.baseUrl;
+    if(baseUrl) {
+      options.baseUrl = baseUrl;
+    }
+    try {
+      this._getDidio().getDidDocument(did, options, callback);
+    } catch(e) {
+      callback(e);
+    }
+  }
+
+  _getDidio() {
+    if(!this._didio) {
+      this._didio = require('did-io')();
+      this._didio.use('jsonld', bedrock.jsonld);
+    }
+    return this._didio;
+  }
+} // end class
+
+const api = {};
+module.exports = api;
+
+api.DidIoResolver = DidIoResolver;
+
+let resolver = new DidIoResolver();
+
+// resolved DID documents by DID
+const cache = new Map();
+
+/**
+ * Sets the resolver used to get the DID documents of DID key URLs.
+ *
+ * @param didResolver the resolver to use.
+ */
+api.setResolver = didResolver => {
+  resolver = didResolver;
+  cache.clear();
+};
+
+/**
+ * Gets the public key of a DID key URL from the `publicKey` entries of its
+ * DID document. Resolved DID documents are cached for
+ * `config['jwt-mongodb'].did.cacheTtlInSecs`.
+ *
+ * @param keyId the DID key URL.
+ * @param [options] the options to use:
+ *   [fresh] `true` to resolve the DID again, e.g. because the cached key
+ *     failed to verify a signature, unless it was resolved less than
+ *     `config['jwt-mongodb'].did.refreshIntervalInSecs` ago.
+ * @param callback(err, key) called once the operation completes.
+ */
+api.getKey = (keyId, options, callback) => {
+  if(typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  const cfg = config['jwt-mongodb'].did;
+  const did = keyId.split('#')[0];
+  const entry = cache.get(did);
+  if(entry && Date.now() - entry.created < cfg.cacheTtlInSecs * 1000 &&
+    !(options.fresh && api.canRefresh(keyId))) {
+    return _selectKey(entry.document, keyId, callback);
+  }
+  cache.delete(did);
+  resolver.getDidDocument(did, (err, document) => {
+    if(err) {
+      const notFound = err.httpStatusCode === 404 || err.status === 404;
+      return callback(new BedrockError(
+        notFound ? 'Key not found.' : 'Failed to resolve key.',
+        notFound ? 'NotFound' : 'InternalError',
+        {key: keyId, httpStatusCode: notFound ? 404 : 500, 'public': true},
+        err));
+    }
+    if(!document || typeof document !== 'object') {
+      return callback(_notFound(keyId));
+    }
+    cache.set(did, {document: document, created: Date.now()});
+    // evict oldest entries
+    while(cache.size > cfg.cacheMaxSize) {
+      cache.delete(cache.keys().next().value);
+    }
+    _selectKey(document, keyId, callback);
+  });
+};
+
+/**
+ * Determines whether the DID of a DID key URL may be resolved again, i.e.
+ * whether it was last resolved at least
+ * `config['jwt-mongodb'].did.refreshIntervalInSecs` ago, so that tokens
+ * signed by unknown keys cannot cause a resolution per token.
+ *
+ * @param keyId the DID key URL.
+ *
+ * @return `true` if the DID may be resolved again.
+ */
+api.canRefresh = keyId => {
+  const entry = cache.get(keyId.split('#')[0]);
+  return !entry || Date.now() - entry.created >=
+    config['jwt-mongodb'].did.refreshIntervalInSecs * 1000;
+};
+
+// selects the key with the given ID from a DID document, whose key IDs may
+// be relative to the DID (e.g. `#key-1`)
+function _selectKey(document, keyId, callback) {
+  const index = keyId.indexOf('#');
+  const fragment = index === -1 ? null : keyId.substr(index);
+  const keys = [].concat(document.publicKey || []);
+  const key = keys.find(key => key &&
+    (key.id === keyId || (fragment !== null && key.id === fragment)));
+  if(!key || typeof key.publicKeyPem !== 'string') {
+    return callback(_notFound(keyId));
+  }
+  callback(null, key);
+}
+
+function _notFound(keyId) {
+  return new BedrockError(
+    'Key not found.', 'NotFound',
+    {key: keyId, httpStatusCode: 404, 'public': true});
+}
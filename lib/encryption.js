@@ -0,0 +1,368 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const crypto = require('crypto');
+const BedrockError = bedrock.util.BedrockError;
+const kek = require('./kek');
+const keySource = require('./key-source');
+
+const api = {};
+module.exports = api;
+
+// key management algorithms by name
+const ALGORITHMS = ['dir', 'RSA-OAEP'];
+// content encryption algorithm
+const ENC = 'A256GCM';
+
+/**
+ * Checks the `encryption` option of a namespace.
+ *
+ * @param options the encryption options:
+ *   algorithm `dir` to encrypt with a symmetric key managed by the
+ *     namespace or `RSA-OAEP` to encrypt to a recipient key.
+ *   [key] the ID of the recipient's RSA key in `bedrock-key`, required for
+ *     `RSA-OAEP`; only holders of its private key can verify the tokens.
+ *
+ * @return a TypeError if the options are not valid, otherwise `null`.
+ */
+api.checkOptions = options => {
+  if(!options || typeof options !== 'object') {
+    return new TypeError('`options.encryption` must be an object.');
+  }
+  if(ALGORITHMS.indexOf(options.algorithm) === -1) {
+    return new TypeError(
+      '`options.encryption.algorithm` must be "dir" or "RSA-OAEP".');
+  }
+  if(options.algorithm === 'RSA-OAEP' && typeof options.key !== 'string') {
+    return new TypeError('`options.encryption.key` must be a string.');
+  }
+  return null;
+};
+
+/**
+ * Creates the encryption configuration stored with a namespace. For `dir`,
+ * a new symmetric key is created and wrapped with the current key-encryption
+ * key; for `RSA-OAEP`, the recipient key is checked.
+ *
+ * @param namespaceId the ID of the namespace.
+ * @param options the encryption options, see `checkOptions`.
+ * @param callback(err, encryption) called once the operation completes.
+ */
+api.create = (namespaceId, options, callback) => {
+  const encryption = {algorithm: options.algorithm, enc: ENC};
+  if(options.algorithm === 'RSA-OAEP') {
+    encryption.key = options.key;
+    return _getRecipientKey(encryption.key, err =>
+      callback(err, err ? null : encryption));
+  }
+  encryption.secret = {id: '' + Math.floor(Date.now() / 1000)};
+  _wrapSecret(namespaceId, encryption.secret, crypto.randomBytes(32), err =>
+    callback(err, err ? null : encryption));
+};
+
+/**
+ * Wraps a namespace's symmetric key with the current key-encryption key,
+ * e.g. after the key-encryption key has been rotated or when a namespace
+ * is imported with the key unwrapped.
+ *
+ * @param namespaceId the ID of the namespace.
+ * @param encryption the namespace's encryption configuration.
+ * @param callback(err, encryption) called once the operation completes.
+ */
+api.rewrap = (namespaceId, encryption, callback) => {
+  if(!encryption.secret) {
+    return callback(null, encryption);
+  }
+  encryption = bedrock.util.clone(encryption);
+  _getSecret(namespaceId, encryption.secret, (err, secret) => {
+    if(err) {
+      return callback(err);
+    }
+    _wrapSecret(namespaceId, encryption.secret, secret, err =>
+      callback(err, err ? null : encryption));
+  });
+};
+
+/**
+ * Gets a copy of a namespace's encryption configuration with its symmetric
+ * key unwrapped, for an export bundle.
+ *
+ * @param namespaceId the ID of the namespace.
+ * @param encryption the namespace's encryption configuration.
+ * @param callback(err, encryption) called once the operation completes.
+ */
+api.unwrap = (namespaceId, encryption, callback) => {
+  if(!encryption.secret) {
+    return callback(null, encryption);
+  }
+  encryption = bedrock.util.clone(encryption);
+  _getSecret(namespaceId, encryption.secret, (err, secret) => {
+    if(err) {
+      return callback(err);
+    }
+    encryption.secret.data = secret.toString('base64');
+    delete encryption.secret.wrappedData;
+    callback(null, encryption);
+  });
+};
+
+/**
+ * Gets the encryption configuration to store for an imported namespace from
+ * its exported configuration (as produced by `unwrap`).
+ *
+ * @param namespaceId the ID of the imported namespace.
+ * @param encryption the exported encryption configuration.
+ * @param callback(err, encryption) called once the operation completes,
+ *   `err` is a `MalformedBundle` error if the configuration is not valid.
+ */
+api.import = (namespaceId, encryption, callback) => {
+  const valid = !api.checkOptions(encryption) && (
+    encryption.algorithm === 'RSA-OAEP' || (encryption.secret &&
+    typeof encryption.secret.id === 'string' &&
+    typeof encryption.secret.data === 'string'));
+  if(!valid) {
+    return callback(new BedrockError(
+      'Exported encryption configuration is malformed.', 'MalformedBundle',
+      {httpStatusCode: 400, 'public': true}));
+  }
+  if(encryption.algorithm === 'RSA-OAEP') {
+    // the recipient key, which is not part of the export bundle, must exist
+    // in this deployment
+    return api.create(namespaceId, encryption, callback);
+  }
+  api.rewrap(namespaceId, {
+    algorithm: encryption.algorithm,
+    enc: ENC,
+    secret: {id: encryption.secret.id, data: encryption.secret.data}
+  }, callback);
+};
+
+/**
+ * Determines whether a token is an encrypted token (compact JWE).
+ *
+ * @param token the token.
+ *
+ * @return `true` if the token is encrypted.
+ */
+api.isEncrypted = token =>
+  typeof token === 'string' && token.split('.').length === 5;
+
+/**
+ * Decodes the protected header of an encrypted token.
+ *
+ * @param token the encrypted token.
+ *
+ * @return the header, or `null` if the token is malformed or does not use
+ *   a supported algorithm.
+ */
+api.decodeHeader = token => {
+  let header;
+  try {
+    header = JSON.parse(
+      Buffer.from(token.split('.')[0], 'base64url').toString('utf8'));
+  } catch(e) {
+    return null;
+  }
+  if(!(header && ALGORITHMS.indexOf(header.alg) !== -1 &&
+    header.enc === ENC && typeof header.kid === 'string')) {
+    return null;
+  }
+  return header;
+};
+
+/**
+ * Encrypts a signed token (JWS) as a compact JWE whose `cty` is `JWT`.
+ *
+ * @param token the signed token.
+ * @param options the options to use:
+ *   namespace the namespace with its encryption configuration.
+ * @param callback(err, encryptedToken) called once the operation completes.
+ */
+api.encrypt = (token, options, callback) => {
+  const namespace = options.namespace;
+  const encryption = namespace.encryption;
+  const header = {alg: encryption.algorithm, enc: ENC, cty: 'JWT'};
+  const getKey = callback => {
+    if(encryption.algorithm === 'dir') {
+      header.kid = namespace.id + ':' + encryption.secret.id;
+      return _getSecret(namespace.id, encryption.secret, (err, secret) =>
+        callback(err, secret, Buffer.alloc(0)));
+    }
+    header.kid = encryption.key;
+    _getRecipientKey(encryption.key, (err, publicKey) => {
+      if(err) {
+        return callback(err);
+      }
+      const cek = crypto.randomBytes(32);
+      let encryptedKey;
+      try {
+        encryptedKey = crypto.publicEncrypt({
+          key: publicKey.publicKeyPem,
+          padding: crypto.constants.RSA_PKCS1_OAEP_PADDING
+        }, cek);
+      } catch(e) {
+        return callback(e);
+      }
+      callback(null, cek, encryptedKey);
+    });
+  };
+  getKey((err, cek, encryptedKey) => {
+    if(err) {
+      return callback(err);
+    }
+    const protectedHeader = Buffer.from(JSON.stringify(header), 'utf8')
+      .toString('base64url');
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', cek, iv);
+    cipher.setAAD(Buffer.from(protectedHeader, 'ascii'));
+    const ciphertext = Buffer.concat([
+      cipher.update(token, 'utf8'), cipher.final()]);
+    callback(null, [
+      protectedHeader,
+      encryptedKey.toString('base64url'),
+      iv.toString('base64url'),
+      ciphertext.toString('base64url'),
+      cipher.getAuthTag().toString('base64url')
+    ].join('.'));
+  });
+};
+
+/**
+ * Decrypts an encrypted token produced by `encrypt`.
+ *
+ * @param token the encrypted token.
+ * @param options the options to use:
+ *   namespace the namespace with the encryption configuration to decrypt
+ *     with.
+ * @param callback(err, signedToken) called once the operation completes,
+ *   `err` is a public `DecryptionFailed` error if the token cannot be
+ *   decrypted.
+ */
+api.decrypt = (token, options, callback) => {
+  const namespace = options.namespace;
+  const encryption = namespace.encryption;
+  const parts = token.split('.');
+  const getKey = callback => {
+    if(encryption.algorithm === 'dir') {
+      return _getSecret(namespace.id, encryption.secret, callback);
+    }
+    keySource.getPublicKey(
+      encryption.key, {privateKey: true}, (err, publicKey, privateKey) => {
+        if(err && err.name === 'NotFound') {
+          return callback(_unknownKey(encryption.key, err));
+        }
+        if(err) {
+          return callback(err);
+        }
+        if(publicKey.sysStatus !== 'active' || !privateKey) {
+          return callback(_unknownKey(encryption.key));
+        }
+        let cek;
+        try {
+          cek = crypto.privateDecrypt({
+            key: privateKey.privateKeyPem,
+            padding: crypto.constants.RSA_PKCS1_OAEP_PADDING
+          }, Buffer.from(parts[1], 'base64url'));
+        } catch(e) {
+          return callback(_decryptionFailed(e));
+        }
+        callback(null, cek);
+      });
+  };
+  getKey((err, cek) => {
+    if(err) {
+      return callback(err);
+    }
+    let signedToken;
+    try {
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm', cek, Buffer.from(parts[2], 'base64url'),
+        {authTagLength: 16});
+      decipher.setAAD(Buffer.from(parts[0], 'ascii'));
+      decipher.setAuthTag(Buffer.from(parts[4], 'base64url'));
+      signedToken = Buffer.concat([
+        decipher.update(Buffer.from(parts[3], 'base64url')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch(e) {
+      return callback(_decryptionFailed(e));
+    }
+    callback(null, signedToken);
+  });
+};
+
+// gets an active RSA recipient key from the key source
+function _getRecipientKey(key, callback) {
+  keySource.getPublicKey(key, {}, (err, publicKey) => {
+    if(err) {
+      return callback(new BedrockError(
+        'Invalid encryption key specified.', 'InvalidKey', {key: key}, err));
+    }
+    if(publicKey.sysStatus !== 'active') {
+      return callback(new BedrockError(
+        'The specified encryption key has been revoked.', 'InvalidKey',
+        {key: key}));
+    }
+    let keyType;
+    try {
+      keyType = crypto.createPublicKey(publicKey.publicKeyPem)
+        .asymmetricKeyType;
+    } catch(e) {
+      keyType = null;
+    }
+    if(keyType !== 'rsa') {
+      return callback(new BedrockError(
+        'RSA-OAEP requires an RSA key.', 'InvalidKey', {key: key}));
+    }
+    callback(null, publicKey);
+  });
+}
+
+function _wrapSecret(namespaceId, secret, material, callback) {
+  kek.wrapKey(material, {
+    context: _getContext(namespaceId, secret)
+  }, (err, wrappedKey) => {
+    if(err) {
+      return callback(err);
+    }
+    if(wrappedKey) {
+      secret.wrappedData = wrappedKey;
+      delete secret.data;
+    } else {
+      // no key-encryption key is configured, store unwrapped
+      secret.data = material.toString('base64');
+      delete secret.wrappedData;
+    }
+    callback();
+  });
+}
+
+function _getSecret(namespaceId, secret, callback) {
+  if(secret.wrappedData) {
+    return kek.unwrapKey(secret.wrappedData, {
+      context: _getContext(namespaceId, secret)
+    }, callback);
+  }
+  callback(null, Buffer.from(secret.data, 'base64'));
+}
+
+// binds a wrapped secret to its namespace; distinct from the contexts of
+// the namespace's HMAC keys, whose IDs are also timestamps
+function _getContext(namespaceId, secret) {
+  return namespaceId + ':encryption:' + secret.id;
+}
+
+function _unknownKey(key, cause) {
+  return new BedrockError(
+    'Invalid key identifier in token.', 'UnknownKey',
+    {key: key, httpStatusCode: 401, 'public': true}, cause || null);
+}
+
+function _decryptionFailed(cause) {
+  return new BedrockError(
+    'Token could not be decrypted.', 'DecryptionFailed',
+    {httpStatusCode: 401, 'public': true}, cause);
+}
@@ -0,0 +1,61 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const Store = require('./store');
+const middleware = require('./middleware');
+const BedrockError = bedrock.util.BedrockError;
+const config = bedrock.config;
+
+// routes are only added when `bedrock-express` is loaded by the application
+bedrock.events.on('bedrock-express.configure.routes', app => {
+  _addJwksRoute(app);
+  _addIntrospectionRoute(app);
+});
+
+function _addJwksRoute(app) {
+  const cfg = config['jwt-mongodb'].jwks;
+  if(!cfg.enableRoute) {
+    return;
+  }
+
+  const store = new Store();
+  app.get(cfg.route, (req, res, next) => store.getAllJwks((err, jwks) => {
+    if(err) {
+      return next(err);
+    }
+    res.set('Cache-Control', 'public, max-age=' + cfg.maxAgeInSecs);
+    res.json(jwks);
+  }));
+}
+
+// the token to introspect is posted as a form (or JSON) `token` parameter
+function _addIntrospectionRoute(app) {
+  const cfg = config['jwt-mongodb'].introspection;
+  if(!cfg.enableRoute) {
+    return;
+  }
+
+  const store = new Store();
+  app.post(cfg.route, middleware.requireJwt({
+    namespaces: cfg.namespaces,
+    requiredClaims: cfg.requiredClaims,
+    store: store
+  }), (req, res, next) => {
+    const token = req.body ? req.body.token : undefined;
+    if(typeof token !== 'string') {
+      return next(new BedrockError(
+        'A token to introspect is required.', 'ValidationError',
+        {httpStatusCode: 400, 'public': true}));
+    }
+    store.introspect(token, (err, result) => {
+      if(err) {
+        return next(err);
+      }
+      res.set('Cache-Control', 'no-store');
+      res.json(result);
+    });
+  });
+}
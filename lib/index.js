@@ -3,27 +3,181 @@
  */
 'use strict';
 
+const _ = require('lodash');
 const async = require('async');
 const bedrock = require('bedrock');
-const database = require('bedrock-mongodb');
+const didResolver = require('./did-resolver');
+const kek = require('./kek');
+const keySource = require('./key-source');
+const middleware = require('./middleware');
+const NamespaceHandler = require('./namespace-handler');
+const NamespaceHandlerEdDsa = require('./namespace-handler-eddsa');
+const NamespaceHandlerHmac = require('./namespace-handler-hmac');
+const NamespaceHandlerWebKey = require('./namespace-handler-web-key');
 const Store = require('./store');
+const storage = require('./storage');
+const BedrockError = bedrock.util.BedrockError;
+const config = bedrock.config;
 // load config defaults
 require('./config');
+require('./cli');
+require('./http');
+require('./worker');
+
+const logger = bedrock.loggers.get('app');
 
 const api = {};
 module.exports = api;
 
+api.Store = Store;
+
+// namespace handlers, register custom handlers via `Store#registerHandler`
+// in a `bedrock-jwt-mongodb.Store.construct` event listener
+api.NamespaceHandler = NamespaceHandler;
+api.NamespaceHandlerEdDsa = NamespaceHandlerEdDsa;
+api.NamespaceHandlerHmac = NamespaceHandlerHmac;
+api.NamespaceHandlerWebKey = NamespaceHandlerWebKey;
+
+// `bedrock-express` middleware
+api.requireJwt = middleware.requireJwt;
+
+// key-encryption key providers for secret key material at rest
+api.ConfigKekProvider = kek.ConfigKekProvider;
+api.setKekProvider = kek.setProvider;
+
+// resolvers for the keys of externally issued tokens with DID key URLs
+api.DidIoResolver = didResolver.DidIoResolver;
+api.setDidResolver = didResolver.setResolver;
+
+// storage adapters for namespace records
+api.MemoryStorage = storage.MemoryStorage;
+api.MongoDbStorage = storage.MongoDbStorage;
+api.setStorage = storage.setAdapter;
+
+// sources of the asymmetric keys that namespaces sign and verify with
+api.BedrockKeySource = keySource.BedrockKeySource;
+api.setKeySource = keySource.setSource;
+
+// create the default storage adapter and key source, unless the application
+// has set its own, so that `bedrock-mongodb` and `bedrock-key` are loaded
+// before their configs and event listeners are needed
+bedrock.events.on('bedrock-cli.init', () => {
+  storage.getAdapter();
+  keySource.getSource();
+});
+
 bedrock.events.on(
   'bedrock-authn-did-jwt.config.keyStore', (strategy, callback) =>
     strategy.setStore(new Store(), callback));
 
 bedrock.events.on('bedrock-mongodb.ready', callback => {
+  if(!(storage.getAdapter() instanceof storage.MongoDbStorage)) {
+    return callback();
+  }
+  const database = require('bedrock-mongodb');
   async.waterfall([
-    callback => database.openCollections(['jwtKeyStore'], callback),
+    callback => database.openCollections(
+      ['jwtAudit', 'jwtKeyStore', 'jwtRefreshToken', 'jwtRevocation'],
+      callback),
     callback => database.createIndexes([{
+      collection: 'jwtAudit',
+      fields: {namespace: 1, date: -1},
+      options: {unique: false, background: false}
+    }, {
+      // remove audit records once their retention period has passed
+      collection: 'jwtAudit',
+      fields: {expires: 1},
+      options: {expireAfterSeconds: 0, background: false}
+    }, {
       collection: 'jwtKeyStore',
       fields: {id: 1},
       options: {unique: true, background: false}
+    }, {
+      // tokens are matched to namespaces with keys by key and algorithm,
+      // which must therefore be unique; the name identifies violations
+      collection: 'jwtKeyStore',
+      fields: {'namespace.key': 1, 'namespace.algorithm': 1},
+      options: {
+        name: 'namespaceKey',
+        unique: true,
+        partialFilterExpression: {'namespace.key': {$exists: true}},
+        background: false
+      }
+    }, {
+      // finds the namespaces that encrypt to a recipient key
+      collection: 'jwtKeyStore',
+      fields: {'namespace.encryption.key': 1},
+      options: {unique: false, background: false}
+    }, {
+      collection: 'jwtRefreshToken',
+      fields: {id: 1},
+      options: {unique: true, background: false}
+    }, {
+      collection: 'jwtRefreshToken',
+      fields: {family: 1},
+      options: {unique: false, background: false}
+    }, {
+      // remove refresh tokens once they have expired
+      collection: 'jwtRefreshToken',
+      fields: {expires: 1},
+      options: {expireAfterSeconds: 0, background: false}
+    }, {
+      collection: 'jwtRevocation',
+      fields: {id: 1},
+      options: {unique: true, background: false}
+    }, {
+      // remove revocation entries once the revoked token has expired
+      collection: 'jwtRevocation',
+      fields: {expires: 1},
+      options: {expireAfterSeconds: 0, background: false}
     }], callback)
   ], callback);
 });
+
+// provisioning may need keys from `bedrock-key`, whose collections are only
+// ready once `bedrock.init` has completed
+bedrock.events.on('bedrock.start', _provisionConfiguredNamespaces);
+
+/**
+ * Provisions the namespaces in `config['jwt-mongodb'].namespaces`. Namespaces
+ * that are already provisioned are updated to match the config, except for
+ * their algorithm, which cannot be changed.
+ *
+ * @param callback(err) called once the operation completes.
+ */
+function _provisionConfiguredNamespaces(callback) {
+  const store = new Store();
+  async.eachSeries(config['jwt-mongodb'].namespaces, (options, callback) => {
+    store.provision(options, err => {
+      if(!err) {
+        return callback();
+      }
+      if(!(err.name === 'DuplicateError' && err.details &&
+        Array.isArray(err.details.conflicts))) {
+        return callback(err);
+      }
+      if(err.details.conflicts.indexOf('algorithm') !== -1) {
+        return callback(new BedrockError(
+          'The algorithm of a provisioned namespace cannot be changed.',
+          'DuplicateError', {namespace: options.id}, err));
+      }
+      if(err.details.conflicts.indexOf('encryption') !== -1) {
+        return callback(new BedrockError(
+          'The encryption of a provisioned namespace cannot be changed.',
+          'DuplicateError', {namespace: options.id}, err));
+      }
+      logger.info('[jwt-mongodb] updating namespace to match config.', {
+        namespace: options.id,
+        conflicts: err.details.conflicts
+      });
+      // only update what is configured; a claim policy that is no longer
+      // configured is removed
+      const update = _.assign(_.pick(options, [
+        'id', 'clockToleranceInSecs', 'tokenTtlInSecs', 'key'
+      ]), {
+        claimPolicy: 'claimPolicy' in options ? options.claimPolicy : null
+      });
+      store.updateNamespace(update, err => callback(err));
+    });
+  }, callback);
+}
@@ -0,0 +1,143 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const crypto = require('crypto');
+const BedrockError = bedrock.util.BedrockError;
+const config = bedrock.config;
+
+/**
+ * A key-encryption key (KEK) provider wraps secret key material before it
+ * is stored and unwraps it after it is read. Custom providers (e.g. backed
+ * by a KMS) must implement the same methods as this class. Key material is
+ * bound to a context that identifies where it is stored, so that wrapped
+ * key material copied to another namespace or key cannot be unwrapped.
+ *
+ * This default provider uses the AES-256-GCM keys in
+ * `config['jwt-mongodb'].kek.keys`. If `config['jwt-mongodb'].kek.currentKeyId`
+ * is `null`, new key material is stored unwrapped.
+ */
+class ConfigKekProvider {
+  /**
+   * Wraps key material.
+   *
+   * @param data a Buffer with the key material to wrap.
+   * @param options the options to use:
+   *   context the context to bind the key material to, e.g.
+   *     `<namespace ID>:<key ID>`, which must be given to unwrap it.
+   * @param callback(err, wrappedKey) called once the operation completes,
+   *   `wrappedKey` is a JSON-serializable object with a `kekId` property, or
+   *   `null` if the key material should be stored unwrapped.
+   */
+  wrapKey(data, options, callback) {
+    const cfg = config['jwt-mongodb'].kek;
+    const kekId = cfg.currentKeyId;
+    if(kekId === null) {
+      return callback(null, null);
+    }
+    let kek;
+    try {
+      kek = this._getKek(kekId);
+    } catch(e) {
+      return callback(e);
+    }
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', kek, iv);
+    cipher.setAAD(Buffer.from(options.context, 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+    callback(null, {
+      kekId: kekId,
+      algorithm: 'A256GCM',
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    });
+  }
+
+  /**
+   * Unwraps key material.
+   *
+   * @param wrappedKey the wrapped key as produced by `wrapKey`.
+   * @param options the options to use:
+   *   context the context the key material was wrapped with.
+   * @param callback(err, data) called once the operation completes.
+   */
+  unwrapKey(wrappedKey, options, callback) {
+    let data;
+    try {
+      if(wrappedKey.algorithm !== 'A256GCM') {
+        throw new Error(
+          'Unsupported key wrapping algorithm "' + wrappedKey.algorithm +
+          '".');
+      }
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm', this._getKek(wrappedKey.kekId),
+        Buffer.from(wrappedKey.iv, 'base64'), {authTagLength: 16});
+      decipher.setAAD(Buffer.from(options.context, 'utf8'));
+      decipher.setAuthTag(Buffer.from(wrappedKey.tag, 'base64'));
+      data = Buffer.concat([
+        decipher.update(Buffer.from(wrappedKey.ciphertext, 'base64')),
+        decipher.final()
+      ]);
+    } catch(e) {
+      return callback(new BedrockError(
+        'Failed to unwrap key material.', 'InvalidKey',
+        {kekId: wrappedKey.kekId}, e));
+    }
+    callback(null, data);
+  }
+
+  _getKek(kekId) {
+    const keys = config['jwt-mongodb'].kek.keys;
+    if(typeof keys[kekId] !== 'string') {
+      throw new BedrockError(
+        'Key-encryption key not found.', 'NotFound', {kekId: kekId});
+    }
+    const kek = Buffer.from(keys[kekId], 'base64');
+    if(kek.length !== 32) {
+      throw new BedrockError(
+        'Key-encryption key must be 256 bits.', 'InvalidKey', {kekId: kekId});
+    }
+    return kek;
+  }
+} // end class
+
+const api = {};
+module.exports = api;
+
+api.ConfigKekProvider = ConfigKekProvider;
+
+let provider = new ConfigKekProvider();
+
+/**
+ * Sets the KEK provider used to wrap and unwrap secret key material.
+ *
+ * @param kekProvider the provider to use.
+ */
+api.setProvider = kekProvider => {
+  provider = kekProvider;
+};
+
+/**
+ * Wraps the given key material with the current KEK provider.
+ *
+ * @param data a Buffer with the key material to wrap.
+ * @param options the options to use:
+ *   context the context to bind the key material to.
+ * @param callback(err, wrappedKey) called once the operation completes.
+ */
+api.wrapKey = (data, options, callback) =>
+  provider.wrapKey(data, options, callback);
+
+/**
+ * Unwraps the given key material with the current KEK provider.
+ *
+ * @param wrappedKey the wrapped key.
+ * @param options the options to use:
+ *   context the context the key material was wrapped with.
+ * @param callback(err, data) called once the operation completes.
+ */
+api.unwrapKey = (wrappedKey, options, callback) =>
+  provider.unwrapKey(wrappedKey, options, callback);
@@ -0,0 +1,83 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+let brKey;
+
+/**
+ * A key source provides the asymmetric keys that namespaces sign, verify and
+ * decrypt tokens with. Custom key sources must implement the same methods as
+ * this class.
+ *
+ * This default key source gets keys from `bedrock-key`, which is loaded by
+ * the first instance so that applications that use another key source do not
+ * need `bedrock-key` (nor the MongoDB database it stores keys in). The first
+ * instance must be created before bedrock initializes.
+ */
+class BedrockKeySource {
+  constructor() {
+    brKey = require('bedrock-key');
+  }
+
+  /**
+   * Gets a key.
+   *
+   * @param id the ID of the key.
+   * @param options the options to use:
+   *   [privateKey] `true` to also get the private key.
+   * @param callback(err, publicKey, privateKey) called once the operation
+   *   completes, `publicKey` has a `publicKeyPem` and a `sysStatus` of
+   *   `active` or `disabled`, `privateKey` (if requested) has a
+   *   `privateKeyPem`; `err` is a `NotFound` error if the key does not exist.
+   */
+  getPublicKey(id, options, callback) {
+    if(!options.privateKey) {
+      return brKey.getPublicKey({id: id}, (err, publicKey) =>
+        callback(err, publicKey));
+    }
+    brKey.getPublicKey({id: id}, null, (err, publicKey, meta, privateKey) =>
+      callback(err, publicKey, privateKey));
+  }
+} // end class
+
+const api = {};
+module.exports = api;
+
+api.BedrockKeySource = BedrockKeySource;
+
+let source = null;
+
+/**
+ * Sets the key source. It should be set before bedrock starts.
+ *
+ * @param keySource the key source to use.
+ */
+api.setSource = keySource => {
+  source = keySource;
+};
+
+/**
+ * Gets the current key source, creating the default `BedrockKeySource` if
+ * none has been set.
+ *
+ * @return the key source.
+ */
+api.getSource = () => {
+  if(!source) {
+    source = new BedrockKeySource();
+  }
+  return source;
+};
+
+/**
+ * Gets a key from the current key source.
+ *
+ * @param id the ID of the key.
+ * @param options the options to use:
+ *   [privateKey] `true` to also get the private key.
+ * @param callback(err, publicKey, privateKey) called once the operation
+ *   completes.
+ */
+api.getPublicKey = (id, options, callback) =>
+  api.getSource().getPublicKey(id, options, callback);
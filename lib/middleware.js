@@ -0,0 +1,130 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _ = require('lodash');
+const bedrock = require('bedrock');
+const Store = require('./store');
+const BedrockError = bedrock.util.BedrockError;
+
+const api = {};
+module.exports = api;
+
+/**
+ * Creates `bedrock-express` middleware that requires a JWT in the request's
+ * `Authorization: Bearer` header. On success, `req.jwt` is set to
+ * `{payload, namespace}`, where `namespace` is the ID of the namespace the
+ * token was verified with. Otherwise a 401 or 403 `BedrockError` is passed
+ * to `next` and a `WWW-Authenticate` header is set as per RFC 6750.
+ *
+ * @param [options] the options to use:
+ *   [namespaces] the IDs of the namespaces whose tokens are accepted; tokens
+ *     from any namespace are accepted if omitted.
+ *   [requiredClaims] the names of claims the token must have, or an object
+ *     mapping claim names to the values they must have.
+ *   [realm] the `realm` for the `WWW-Authenticate` header.
+ *   [store] the `Store` to verify tokens with.
+ *
+ * @return the middleware.
+ */
+api.requireJwt = (options = {}) => {
+  const store = options.store || new Store();
+  let requiredClaims = options.requiredClaims || {};
+  if(Array.isArray(requiredClaims)) {
+    requiredClaims = requiredClaims.reduce((claims, claim) => {
+      claims[claim] = undefined;
+      return claims;
+    }, {});
+  }
+
+  return (req, res, next) => {
+    const authorization = req.get('Authorization');
+    if(!authorization) {
+      return _fail(res, next, options, {
+        message: 'Bearer token required.',
+        httpStatusCode: 401
+      });
+    }
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(authorization);
+    if(!match) {
+      return _fail(res, next, options, {
+        message: 'Invalid bearer token.',
+        httpStatusCode: 401,
+        error: 'invalid_request'
+      });
+    }
+
+    store.verifyWithNamespace(match[1], (err, result) => {
+      if(err) {
+        // only public client errors mean the token is invalid
+        if(!_isClientError(err)) {
+          return next(err);
+        }
+        return _fail(res, next, options, {
+          message: 'Invalid bearer token.',
+          httpStatusCode: 401,
+          error: 'invalid_token',
+          cause: err
+        });
+      }
+      const namespace = result.namespace;
+      const payload = result.payload;
+      if(options.namespaces && options.namespaces.indexOf(namespace) === -1) {
+        return _fail(res, next, options, {
+          message: 'Bearer token is not accepted for this resource.',
+          httpStatusCode: 403,
+          error: 'insufficient_scope'
+        });
+      }
+      const missing = Object.keys(requiredClaims).filter(claim => {
+        if(!(claim in payload)) {
+          return true;
+        }
+        const value = requiredClaims[claim];
+        return value !== undefined && !_hasValue(payload[claim], value);
+      });
+      if(missing.length > 0) {
+        return _fail(res, next, options, {
+          message: 'Bearer token is missing required claims.',
+          httpStatusCode: 403,
+          error: 'insufficient_scope',
+          details: {claims: missing}
+        });
+      }
+      req.jwt = {payload: payload, namespace: namespace};
+      next();
+    });
+  };
+};
+
+// a claim value matches if it equals the expected value or, for array
+// claims (e.g. `aud`), contains it
+function _hasValue(claim, value) {
+  if(Array.isArray(claim)) {
+    return claim.indexOf(value) !== -1;
+  }
+  return claim === value;
+}
+
+function _fail(res, next, options, failure) {
+  const params = [];
+  if(options.realm) {
+    params.push('realm="' + options.realm + '"');
+  }
+  if(failure.error) {
+    params.push('error="' + failure.error + '"');
+  }
+  res.set('WWW-Authenticate', 'Bearer' +
+    (params.length > 0 ? ' ' + params.join(', ') : ''));
+  next(new BedrockError(
+    failure.message, 'NotAllowedError', _.assign({
+      httpStatusCode: failure.httpStatusCode,
+      'public': true
+    }, failure.details), failure.cause));
+}
+
+function _isClientError(err) {
+  return !!(err.details && err.details.public &&
+    err.details.httpStatusCode >= 400 && err.details.httpStatusCode < 500);
+}
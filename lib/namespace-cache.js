@@ -0,0 +1,123 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const config = bedrock.config;
+
+/**
+ * A bounded, in-process cache of namespace records, shared by all `Store`
+ * instances. Each entry keeps the `meta.sequence` of the record it was read
+ * from; once `config['jwt-mongodb'].cache.syncIntervalInSecs` have passed
+ * since an entry was last checked, `Store` compares it with the stored
+ * record's before using the entry so that changes made by other nodes are
+ * noticed. Entries expire after `config['jwt-mongodb'].cache.ttlInSecs` and
+ * as soon as the current key of a namespace expires so that rotation is not
+ * delayed. Changes made by this node invalidate entries immediately.
+ */
+class NamespaceCache {
+  constructor() {
+    // least recently used entries first
+    this._entries = new Map();
+  }
+
+  /**
+   * Gets a cached namespace.
+   *
+   * @param lookupKey the key the namespace was cached under.
+   *
+   * @return `{namespace, sequence, checkDue}` with a copy of the namespace
+   *   or `null` if it is not cached; `checkDue` is `true` if the entry must
+   *   be checked against the stored record (see `checked`) before it is
+   *   used.
+   */
+  get(lookupKey) {
+    const cfg = config['jwt-mongodb'].cache;
+    if(!cfg.enable) {
+      return null;
+    }
+    const entry = this._entries.get(lookupKey);
+    if(!entry) {
+      return null;
+    }
+    const now = Date.now();
+    const state = entry.namespace.state;
+    if(now - entry.created >= cfg.ttlInSecs * 1000 ||
+      (state && state.key && state.key.expires <= Math.floor(now / 1000))) {
+      this._entries.delete(lookupKey);
+      return null;
+    }
+    // mark as most recently used
+    this._entries.delete(lookupKey);
+    this._entries.set(lookupKey, entry);
+    return {
+      namespace: bedrock.util.clone(entry.namespace),
+      sequence: entry.sequence,
+      checkDue: now - entry.checked >= cfg.syncIntervalInSecs * 1000
+    };
+  }
+
+  /**
+   * Records that the cached copies of a namespace have been checked against
+   * the stored record and are current.
+   *
+   * @param namespaceId the ID of the namespace.
+   */
+  checked(namespaceId) {
+    const now = Date.now();
+    this._entries.forEach(entry => {
+      if(entry.namespace.id === namespaceId) {
+        entry.checked = now;
+      }
+    });
+  }
+
+  /**
+   * Caches a namespace.
+   *
+   * @param lookupKey the key to cache the namespace under.
+   * @param namespace the namespace.
+   * @param sequence the `meta.sequence` of the namespace record.
+   */
+  set(lookupKey, namespace, sequence) {
+    const cfg = config['jwt-mongodb'].cache;
+    if(!cfg.enable) {
+      return;
+    }
+    const now = Date.now();
+    this._entries.delete(lookupKey);
+    this._entries.set(lookupKey, {
+      namespace: bedrock.util.clone(namespace),
+      sequence: sequence,
+      created: now,
+      checked: now
+    });
+    // evict least recently used entries
+    while(this._entries.size > cfg.maxSize) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Removes every cached copy of a namespace.
+   *
+   * @param namespaceId the ID of the namespace.
+   */
+  invalidate(namespaceId) {
+    this._entries.forEach((entry, lookupKey) => {
+      if(entry.namespace.id === namespaceId) {
+        this._entries.delete(lookupKey);
+      }
+    });
+  }
+
+  /**
+   * Removes all cached namespaces.
+   */
+  clear() {
+    this._entries.clear();
+  }
+} // end class
+
+module.exports = new NamespaceCache();
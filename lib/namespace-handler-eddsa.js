@@ -0,0 +1,99 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const NamespaceHandlerWebKey = require('./namespace-handler-web-key');
+
+/**
+ * Signs and verifies `EdDSA` JWTs using Ed25519 keys from the key source.
+ * Key loading is shared with `NamespaceHandlerWebKey`; only the token
+ * encoding differs because `jsonwebtoken` does not support `EdDSA`.
+ */
+class NamespaceHandlerEdDsa extends NamespaceHandlerWebKey {
+  _createToken(payload, material, options) {
+    const header = {alg: options.algorithm, typ: 'JWT', kid: options.kid};
+    const signingInput =
+      _encode(JSON.stringify(header)) + '.' + _encode(JSON.stringify(payload));
+    const signature = crypto.sign(null, Buffer.from(signingInput), material);
+    return signingInput + '.' + signature.toString('base64url');
+  }
+
+  _verifyToken(token, material, options, callback) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if(parts.length !== 3) {
+      return callback(new jwt.JsonWebTokenError('jwt malformed'));
+    }
+    let header;
+    let payload;
+    try {
+      header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+      payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch(e) {
+      return callback(new jwt.JsonWebTokenError('invalid token'));
+    }
+    if(header.alg !== options.algorithm) {
+      return callback(new jwt.JsonWebTokenError('invalid algorithm'));
+    }
+    let verified;
+    try {
+      verified = crypto.verify(
+        null, Buffer.from(parts[0] + '.' + parts[1]), material,
+        Buffer.from(parts[2], 'base64url'));
+    } catch(e) {
+      verified = false;
+    }
+    if(!verified) {
+      return callback(new jwt.JsonWebTokenError('invalid signature'));
+    }
+    if(payload === null || typeof payload !== 'object') {
+      return callback(new jwt.JsonWebTokenError('invalid payload'));
+    }
+
+    // check `nbf` and `exp` the same way `jsonwebtoken` does
+    const nowInSecs = Math.floor(Date.now() / 1000);
+    const clockTolerance = options.clockToleranceInSecs || 0;
+    if('nbf' in payload) {
+      if(typeof payload.nbf !== 'number') {
+        return callback(new jwt.JsonWebTokenError('invalid nbf value'));
+      }
+      if(payload.nbf > nowInSecs + clockTolerance) {
+        return callback(new jwt.NotBeforeError(
+          'jwt not active', new Date(payload.nbf * 1000)));
+      }
+    }
+    if('exp' in payload) {
+      if(typeof payload.exp !== 'number') {
+        return callback(new jwt.JsonWebTokenError('invalid exp value'));
+      }
+      if(nowInSecs >= payload.exp + clockTolerance) {
+        return callback(new jwt.TokenExpiredError(
+          'jwt expired', new Date(payload.exp * 1000)));
+      }
+    }
+    callback(null, payload);
+  }
+
+  _checkKeyType(algorithm, publicKeyPem) {
+    let publicKey;
+    try {
+      publicKey = crypto.createPublicKey(publicKeyPem);
+    } catch(e) {
+      return new Error('The specified key could not be parsed.');
+    }
+    if(publicKey.asymmetricKeyType !== 'ed25519') {
+      return new Error(
+        'The specified key is not an Ed25519 key as required by "' +
+        algorithm + '".');
+    }
+    return null;
+  }
+} // end class
+
+module.exports = NamespaceHandlerEdDsa;
+
+function _encode(str) {
+  return Buffer.from(str, 'utf8').toString('base64url');
+}
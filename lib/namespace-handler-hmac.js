@@ -7,10 +7,15 @@ const _ = require('lodash');
 const async = require('async');
 const bedrock = require('bedrock');
 const crypto = require('crypto');
-const database = require('bedrock-mongodb');
-const jwt = require('jsonwebtoken');
 const BedrockError = bedrock.util.BedrockError;
+const config = bedrock.config;
 const NamespaceHandler = require('./namespace-handler');
+const audit = require('./audit');
+const clock = require('./clock');
+const kek = require('./kek');
+const namespaceCache = require('./namespace-cache');
+const storage = require('./storage');
+const util = require('./util');
 
 const logger = bedrock.loggers.get('app');
 
@@ -26,20 +31,41 @@ class NamespaceHandlerHmac extends NamespaceHandler {
    *     tokenTtlInSecs the JWT token TTL.
    *     state any custom namespace state.
    *     [key] an optional key identifier for this namespace.
-   * @param callback(err, state) called once the operation completes.
+   * @param [callback](err, state) called once the operation completes.
    */
   createState(options, callback) {
-    const nowInSecs = Math.floor(Date.now() / 1000);
-    const state = {
-      previousKey: null,
-      key: {
-        id: '' + nowInSecs,
-        data: this._generateHmacKey(),
-        created: nowInSecs,
-        expires: nowInSecs + options.namespace.tokenTtlInSecs +
-          options.namespace.clockToleranceInSecs
-      }
-    };
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.createState(options, callback));
+    }
+    this._createKey(options.namespace, (err, key) => callback(err, key ? {
+      previousKeys: [],
+      key: key
+    } : null));
+  }
+
+  /**
+   * Updates any custom state information for the given namespace after its
+   * configuration has changed.
+   *
+   * @param options the options to use:
+   *   namespace the namespace with its updated configuration:
+   *     id the identifier for the namespace.
+   *     algorithm the JWT signing algorithm.
+   *     tokenTtlInSecs the JWT token TTL.
+   *     state any custom namespace state.
+   *     [key] an optional key identifier for this namespace.
+   * @param [callback](err, state) called once the operation completes.
+   */
+  updateState(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.updateState(options, callback));
+    }
+    // the current key expires according to the updated token TTL and clock
+    // tolerance
+    const namespace = options.namespace;
+    const state = bedrock.util.clone(namespace.state);
+    state.key.expires = state.key.created + namespace.tokenTtlInSecs +
+      namespace.clockToleranceInSecs;
     callback(null, state);
   }
 
@@ -53,10 +79,13 @@ class NamespaceHandlerHmac extends NamespaceHandler {
    *     tokenTtlInSecs the JWT token TTL.
    *     state any custom namespace state.
    *     [key] an optional key identifier for this namespace.
-   * @param callback(err, {id: keyId, material: keyMaterial}) called
+   * @param [callback](err, {id: keyId, material: keyMaterial}) called
    *   once the operation completes.
    */
   getKey(options, done) {
+    if(typeof done !== 'function') {
+      return util.promise(callback => this.getKey(options, callback));
+    }
     const self = this;
 
     async.auto({
@@ -66,53 +95,140 @@ class NamespaceHandlerHmac extends NamespaceHandler {
         }
         self._get(options.namespace, callback);
       },
-      rotate: ['getNamespace', (callback, results) => {
-        const state = results.getNamespace.state;
-        // NOTE: requires clock sync amongst nodes
-        const nowInSecs = Math.floor(Date.now() / 1000);
-        if(state.key.expires > nowInSecs) {
-          // key not expired, nothing to rotate
-          return callback(null, state);
+      // use the storage clock so that all nodes agree on key expiration
+      now: callback => clock.now(callback),
+      rotate: ['getNamespace', 'now', (callback, results) => {
+        const namespace = results.getNamespace;
+        const nowInSecs = Math.floor(results.now / 1000);
+        const key = namespace.state.key;
+        if(key.expires > nowInSecs) {
+          // key not expired, nothing to rotate; publish the next key ahead
+          // of its use if the current key expires soon
+          const prePublishInSecs = config['jwt-mongodb'].hmac.prePublishInSecs;
+          if(namespace.state.nextKey ||
+            key.expires - nowInSecs > prePublishInSecs) {
+            return callback(null, namespace.state);
+          }
+          return self._publishNextKey(namespace, (err, state) => callback(
+            err, state || namespace.state));
         }
-        // key expired, generate a new one
-        state.previousKey = state.key;
-        state.key = {
-          id: '' + nowInSecs,
-          data: self._generateHmacKey(),
-          created: nowInSecs,
-          expires: nowInSecs + state.tokenTtlInSecs +
-            state.tokenClockToleranceInSecs
-        };
+        // key expired, replace it with the next key (or a new one)
         logger.verbose('[jwt-mongodb] recycling HMAC key...');
-        self._update(options.namespace.id, state, {
-          query: {
-            'namespace.state.key.id': state.previousKey.id
-          }
-        }, (err, updated) => {
+        self._rotate(namespace, {reason: 'expired'}, (err, state) => {
           if(err) {
-            logger.error(
-              'Mongo error when trying to get key state.', err);
             return callback(err);
           }
-          if(!updated) {
+          if(!state) {
             // another process updated; clear namespace, loop, and try again
             logger.verbose(
               '[jwt-mongodb] another process recycled HMAC key.');
-            options = _.assign({}, options, {namespace: options.namespace.id});
+            options = _.assign({}, options, {namespace: namespace.id});
             return process.nextTick(self.getKey.bind(self, options, done));
           }
           callback(null, state);
         });
       }],
       getKey: ['rotate', (callback, results) => {
-        callback(null, {
-          id: results.rotate.key.id,
-          material: new Buffer(results.rotate.key.data, 'base64')
-        });
+        const key = results.rotate.key;
+        self._getKeyMaterial(results.getNamespace.id, key, (err, material) =>
+          callback(err, material ? {id: key.id, material: material} : null));
       }]
     }, (err, results) => done(err, results ? results.getKey : null));
   }
 
+  /**
+   * Replaces the current key with a new one, regardless of whether the
+   * current key has expired.
+   *
+   * @param options the options to use:
+   *   namespace the namespace (or its identifier).
+   *   [revokePrevious] `true` to discard the current and all previous keys
+   *     so that no token signed before the rotation can be verified.
+   *   [actor] the ID of the actor rotating the key, for auditing.
+   * @param [callback](err, state) called once the operation completes.
+   */
+  rotateKey(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.rotateKey(options, callback));
+    }
+    const self = this;
+    async.auto({
+      getNamespace: callback => {
+        if(typeof options.namespace !== 'string') {
+          return callback(null, options.namespace);
+        }
+        self._get(options.namespace, callback);
+      },
+      rotate: ['getNamespace', (callback, results) => {
+        const namespace = results.getNamespace;
+        logger.verbose('[jwt-mongodb] rotating HMAC key...');
+        self._rotate(namespace, {
+          revokePrevious: !!options.revokePrevious,
+          reason: 'requested',
+          actor: options.actor
+        }, (err, state) => {
+          if(err) {
+            return callback(err);
+          }
+          if(!state) {
+            // another process updated; clear namespace, loop, and try again
+            options = _.assign({}, options, {namespace: namespace.id});
+            return process.nextTick(
+              self.rotateKey.bind(self, options, callback));
+          }
+          callback(null, state);
+        });
+      }]
+    }, (err, results) => callback(err, results ? results.rotate : null));
+  }
+
+  /**
+   * Publishes the next key ahead of the current key's expiration and replaces
+   * the current key with it if the current key would otherwise expire before
+   * maintenance is next performed, so that signing requests do not have to
+   * rotate keys.
+   *
+   * @param options the options to use:
+   *   namespace the namespace.
+   *   intervalInSecs the time until maintenance is next performed.
+   * @param [callback](err, result) called once the operation completes.
+   */
+  maintainKeys(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.maintainKeys(options, callback));
+    }
+    const self = this;
+    const namespace = options.namespace;
+    const state = namespace.state;
+    const prePublishInSecs = config['jwt-mongodb'].hmac.prePublishInSecs;
+    clock.now((err, now) => {
+      if(err) {
+        return callback(err);
+      }
+      const nowInSecs = Math.floor(now / 1000);
+      const untilExpires = state.key.expires - nowInSecs;
+      const rotate = () => self._rotate(
+        namespace, {reason: 'scheduled'},
+        (err, state) => callback(err, {rotated: !!state}));
+      if(!state.nextKey) {
+        if(untilExpires <= 0) {
+          return rotate();
+        }
+        if(untilExpires > prePublishInSecs + options.intervalInSecs) {
+          return callback(null, {});
+        }
+        return self._publishNextKey(
+          namespace, (err, state) => callback(err, {published: !!state}));
+      }
+      // give verifiers time to learn the next key before it is used
+      if(untilExpires > 0 && (untilExpires > options.intervalInSecs ||
+        nowInSecs - state.nextKey.created < prePublishInSecs)) {
+        return callback(null, {});
+      }
+      rotate();
+    });
+  }
+
   /**
    * Verifies a JWT.
    *
@@ -121,44 +237,276 @@ class NamespaceHandlerHmac extends NamespaceHandler {
    *   namespace the namespace to verify with.
    *   keyId the namespace-specific key ID to use, parsed from the token's
    *     `kid` value (any namespace identifier in the `kid` has been removed).
-   * @param callback(err, tokenPayload) called once the operation completes.
+   * @param [callback](err, tokenPayload) called once the operation completes.
    */
   verify(token, options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.verify(token, options, callback));
+    }
     // get key that matches key ID
-    const state = options.namespace.state;
-    let key;
-    if(options.keyId === state.key.id) {
-      key = state.key;
-    } else if(state.previousKey && options.keyId === state.previousKey.id) {
-      key = state.previousKey;
-    } else {
-      return callback(new Error('Invalid key identifier in token.'));
+    const key = this._getKeys(options.namespace.state).find(
+      candidate => candidate.id === options.keyId);
+    if(!key) {
+      return callback(new BedrockError(
+        'Invalid key identifier in token.', 'UnknownKey', {
+          namespace: options.namespace.id,
+          httpStatusCode: 401,
+          'public': true
+        }));
     }
     // decode and verify the token
-    jwt.verify(
-      token, new Buffer(key.data, 'base64'), {
-        clockTolerance: options.namespace.clockToleranceInSecs
-      }, callback);
+    this._getKeyMaterial(options.namespace.id, key, (err, material) => {
+      if(err) {
+        return callback(err);
+      }
+      this._verifyWithKey(token, material, options.namespace, callback);
+    });
   }
 
-  _get(id, callback) {
-    database.collections.jwtKeyStore.findOne(
-      {id: database.hash(id)}, {namespace: true}, (err, record) => {
+  /**
+   * Wraps the key material in the given namespace's state with the current
+   * key-encryption key, e.g. after the key-encryption key has been rotated.
+   *
+   * @param options the options to use:
+   *   namespace the namespace:
+   *     id the identifier for the namespace.
+   *     state the namespace state.
+   * @param [callback](err, state) called once the operation completes.
+   */
+  rewrapState(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.rewrapState(options, callback));
+    }
+    const self = this;
+    const id = options.namespace.id;
+    const state = bedrock.util.clone(options.namespace.state);
+    async.eachSeries(self._getKeys(state), (key, callback) => {
+      async.waterfall([
+        callback => self._getKeyMaterial(id, key, callback),
+        (material, callback) => self._wrapKeyMaterial(
+          id, key, material, callback)
+      ], callback);
+    }, err => callback(err, err ? null : state));
+  }
+
+  /**
+   * Gets a copy of the given namespace's state with all key material
+   * unwrapped, so that it can be imported into a deployment with different
+   * key-encryption keys.
+   *
+   * @param options the options to use:
+   *   namespace the namespace:
+   *     id the identifier for the namespace.
+   *     state the namespace state.
+   * @param [callback](err, state) called once the operation completes.
+   */
+  exportState(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.exportState(options, callback));
+    }
+    const self = this;
+    const state = bedrock.util.clone(options.namespace.state);
+    async.eachSeries(self._getKeys(state), (key, callback) => {
+      self._getKeyMaterial(options.namespace.id, key, (err, material) => {
+        if(err) {
+          return callback(err);
+        }
+        key.data = material.toString('base64');
+        delete key.wrappedData;
+        callback();
+      });
+    }, err => callback(err, err ? null : state));
+  }
+
+  /**
+   * Wraps the key material in an exported namespace state with the current
+   * key-encryption key.
+   *
+   * @param options the options to use:
+   *   namespace the imported namespace:
+   *     id the identifier for the namespace.
+   *     state the exported namespace state.
+   * @param [callback](err, state) called once the operation completes.
+   */
+  importState(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.importState(options, callback));
+    }
+    const state = options.namespace.state;
+    const keys = state && state.key ? this._getKeys(state) : [];
+    if(keys.length === 0 || !keys.every(key => key &&
+      typeof key.id === 'string' && typeof key.data === 'string' &&
+      Number.isInteger(key.created) && Number.isInteger(key.expires))) {
+      return callback(new BedrockError(
+        'Exported HMAC key state is malformed.', 'MalformedBundle', {
+          namespace: options.namespace.id,
+          httpStatusCode: 400,
+          'public': true
+        }));
+    }
+    util.invoke(this, 'rewrapState', [options], callback);
+  }
+
+  /**
+   * Merges the keys of a provisioned namespace into the state of an imported
+   * namespace that replaces it. The imported key stays the current key; the
+   * provisioned keys are retained as previous keys so that tokens signed
+   * with either can be verified. Imported keys take precedence over
+   * provisioned keys with the same ID.
+   *
+   * @param options the options to use:
+   *   namespace the imported namespace, with the state from `importState`.
+   *   existing the provisioned namespace.
+   * @param [callback](err, state) called once the operation completes.
+   */
+  mergeState(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.mergeState(options, callback));
+    }
+    const state = bedrock.util.clone(options.namespace.state);
+    const existing = options.existing.state;
+    if(!(existing && existing.key)) {
+      return callback(null, state);
+    }
+    const ids = this._getKeys(state).map(key => key.id);
+    const keys = [existing.key].concat(this._getPreviousKeys(existing))
+      .filter(key => ids.indexOf(key.id) === -1);
+    delete state.previousKey;
+    // newest keys first, as rotation retains the first previous keys
+    state.previousKeys = this._getPreviousKeys(options.namespace.state)
+      .concat(bedrock.util.clone(keys)).sort(
+        (a, b) => parseInt(b.id, 10) - parseInt(a.id, 10));
+    // a provisioned next key is only used if it is newer than the imported
+    // key; verifiers may already know it
+    if(!state.nextKey && existing.nextKey &&
+      ids.indexOf(existing.nextKey.id) === -1 &&
+      parseInt(existing.nextKey.id, 10) > parseInt(state.key.id, 10)) {
+      state.nextKey = bedrock.util.clone(existing.nextKey);
+    }
+    state.retiredKeys = (existing.retiredKeys || []).concat(
+      state.retiredKeys || []);
+    callback(null, state);
+  }
+
+  _rotate(namespace, options, callback) {
+    const self = this;
+    const state = bedrock.util.clone(namespace.state);
+    const retainedKeys = config['jwt-mongodb'].hmac.retainedKeys;
+    // use the published next key unless it must be discarded too
+    const getKey = callback => {
+      if(!state.nextKey || options.revokePrevious) {
+        return self._createKey(namespace, callback);
+      }
+      clock.now((err, now) => {
+        if(err) {
+          return callback(err);
+        }
+        const key = state.nextKey;
+        self._setKeyLifetime(key, namespace, Math.floor(now / 1000));
+        callback(null, key);
+      });
+    };
+    getKey((err, key) => {
+      if(err) {
+        return callback(err);
+      }
+      const previousKeys = options.revokePrevious ? [] :
+        [state.key].concat(self._getPreviousKeys(state)).slice(
+          0, retainedKeys);
+      const previousKeyId = state.key.id;
+      const retiredKeys = [state.key].concat(self._getPreviousKeys(state))
+        .filter(key => previousKeys.indexOf(key) === -1);
+      delete state.previousKey;
+      delete state.nextKey;
+      state.previousKeys = previousKeys;
+      state.retiredKeys = self._retireKeys(
+        namespace, state.retiredKeys, retiredKeys, key.created);
+      state.key = key;
+      // only update if no other process has rotated the key in the meantime
+      self._update(namespace.id, state, {
+        expect: {
+          'namespace.state.key.id': previousKeyId
+        }
+      }, (err, updated) => {
         if(err) {
-          logger.error('Mongo error when trying to find key state.', err);
-          return callback(new BedrockError(
-            'Failed to find key state due to internal error.',
-            'InternalError',
-            {key: id, httpStatusCode: 500, 'public': true}, err));
+          return callback(err);
         }
-        if(!record) {
-          return callback(new BedrockError(
-            'Key not found.',
-            'NotFound',
-            {key: id, httpStatusCode: 404, 'public': true}));
+        if(!updated) {
+          return callback(null, null);
         }
-        callback(null, record.namespace);
+        audit.record('key.rotated', {
+          namespace: namespace.id,
+          kid: namespace.id + ':' + key.id,
+          previousKid: namespace.id + ':' + previousKeyId,
+          reason: options.reason,
+          revokePrevious: !!options.revokePrevious,
+          actor: options.actor
+        });
+        callback(null, state);
       });
+    });
+  }
+
+  // publishes the key that will replace the current key once it expires,
+  // so that verifiers know the key before any token is signed with it
+  _publishNextKey(namespace, callback) {
+    const self = this;
+    const state = bedrock.util.clone(namespace.state);
+    self._createKey(namespace, (err, key) => {
+      if(err) {
+        return callback(err);
+      }
+      state.nextKey = key;
+      logger.verbose('[jwt-mongodb] publishing next HMAC key...');
+      // only update if no other process has published or rotated meanwhile
+      self._update(namespace.id, state, {
+        expect: {
+          'namespace.state.key.id': namespace.state.key.id,
+          'namespace.state.nextKey': undefined
+        }
+      }, (err, updated) => callback(err, updated ? state : null));
+    });
+  }
+
+  // remembers the IDs of keys that no longer verify tokens until every token
+  // they may have signed has expired, so that introspection can tell tokens
+  // signed with a retired key from tokens with a made-up key ID
+  _retireKeys(namespace, retiredKeys, keys, nowInSecs) {
+    return (retiredKeys || []).filter(key => key.expires > nowInSecs).concat(
+      keys.map(key => ({
+        id: key.id,
+        expires: key.expires + namespace.tokenTtlInSecs +
+          namespace.clockToleranceInSecs
+      })));
+  }
+
+  // gets all keys that can verify tokens, the current key first
+  _getKeys(state) {
+    return [state.key].concat(
+      this._getPreviousKeys(state), state.nextKey ? [state.nextKey] : []);
+  }
+
+  _getPreviousKeys(state) {
+    if(!state.previousKeys) {
+      // state from before multiple previous keys were retained
+      return state.previousKey ? [state.previousKey] : [];
+    }
+    return state.previousKeys;
+  }
+
+  _get(id, callback) {
+    storage.getAdapter().get(id, (err, record) => {
+      if(err) {
+        return callback(err);
+      }
+      if(!record) {
+        return callback(new BedrockError(
+          'Key not found.',
+          'NotFound',
+          {key: id, httpStatusCode: 404, 'public': true}));
+      }
+      callback(null, record.namespace);
+    });
   }
 
   _update(id, state, options, callback) {
@@ -167,29 +515,75 @@ class NamespaceHandlerHmac extends NamespaceHandler {
       options = {};
     }
     options = options || {};
-    const query = _.assign({}, options.query || {});
-    query.id = database.hash(id);
-    database.collections.jwtKeyStore.update(
-      query, {
-        $set: {
-          'meta.updated': Date.now(),
-          'namespace.state': state
-        }
-      }, database.writeOptions, (err, result) => {
-        if(err) {
-          logger.error('Mongo error when trying to update key state.', err);
-          return callback(new BedrockError(
-            'Failed to update key state due to internal error.',
-            'InternalError',
-            {namespace: id, httpStatusCode: 500, 'public': true},
-            err));
-        }
-        callback(null, result.result.n > 0);
-      });
+    storage.getAdapter().update(id, {
+      set: {'namespace.state': state},
+      expect: options.expect
+    }, (err, updated) => {
+      if(err) {
+        return callback(err);
+      }
+      // the namespace changed or is stale if another process changed it
+      namespaceCache.invalidate(id);
+      callback(null, updated);
+    });
+  }
+
+  _createKey(namespace, callback) {
+    clock.now((err, now) => {
+      if(err) {
+        return callback(err);
+      }
+      const nowInSecs = Math.floor(now / 1000);
+      // key IDs must be unique and increasing even when keys are rotated
+      // within a second (or after keys were merged by an import)
+      let id = nowInSecs;
+      if(namespace.state) {
+        this._getKeys(namespace.state).forEach(key => {
+          if(parseInt(key.id, 10) >= id) {
+            id = parseInt(key.id, 10) + 1;
+          }
+        });
+      }
+      const key = {id: '' + id};
+      this._setKeyLifetime(key, namespace, nowInSecs);
+      this._wrapKeyMaterial(namespace.id, key, crypto.randomBytes(16),
+        err => callback(err, err ? null : key));
+    });
   }
 
-  _generateHmacKey() {
-    return crypto.randomBytes(16).toString('base64');
+  // a key is used to sign from its creation until it expires
+  _setKeyLifetime(key, namespace, nowInSecs) {
+    key.created = nowInSecs;
+    key.expires = nowInSecs + namespace.tokenTtlInSecs +
+      namespace.clockToleranceInSecs;
+  }
+
+  // key material is bound to the namespace and key it belongs to
+  _wrapKeyMaterial(namespaceId, key, material, callback) {
+    kek.wrapKey(material, {
+      context: namespaceId + ':' + key.id
+    }, (err, wrappedKey) => {
+      if(err) {
+        return callback(err);
+      }
+      if(wrappedKey) {
+        key.wrappedData = wrappedKey;
+        delete key.data;
+      } else {
+        // no key-encryption key is configured, store unwrapped
+        key.data = material.toString('base64');
+        delete key.wrappedData;
+      }
+      callback();
+    });
+  }
+
+  _getKeyMaterial(namespaceId, key, callback) {
+    if(key.wrappedData) {
+      return kek.unwrapKey(
+        key.wrappedData, {context: namespaceId + ':' + key.id}, callback);
+    }
+    callback(null, Buffer.from(key.data, 'base64'));
   }
 } // end class
 
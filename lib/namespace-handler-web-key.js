@@ -4,9 +4,18 @@
 'use strict';
 
 const bedrock = require('bedrock');
-const brKey = require('bedrock-key');
+const crypto = require('crypto');
 const BedrockError = bedrock.util.BedrockError;
+const keySource = require('./key-source');
 const NamespaceHandler = require('./namespace-handler');
+const util = require('./util');
+
+// named curves required by each ECDSA algorithm
+const CURVES = {
+  ES256: 'prime256v1',
+  ES384: 'secp384r1',
+  ES512: 'secp521r1'
+};
 
 class NamespaceHandlerWebKey extends NamespaceHandler {
   /**
@@ -20,11 +29,54 @@ class NamespaceHandlerWebKey extends NamespaceHandler {
    *     tokenTtlInSecs the JWT token TTL.
    *     state any custom namespace state.
    *     [key] an optional key identifier for this namespace.
-   * @param callback(err, state) called once the operation completes.
+   * @param [callback](err, state) called once the operation completes.
    */
   createState(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.createState(options, callback));
+    }
     // all we need to do here is make sure the key is valid
-    this.getKey(options, err => callback(err, {}));
+    util.invoke(this, 'getKey', [options], err => callback(err, {}));
+  }
+
+  /**
+   * Updates any custom state information for the given namespace after its
+   * configuration has changed.
+   *
+   * @param options the options to use:
+   *   namespace the namespace with its updated configuration:
+   *     id the identifier for the namespace.
+   *     algorithm the JWT signing algorithm.
+   *     tokenTtlInSecs the JWT token TTL.
+   *     state any custom namespace state.
+   *     [key] an optional key identifier for this namespace.
+   * @param [callback](err, state) called once the operation completes.
+   */
+  updateState(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.updateState(options, callback));
+    }
+    // the key may have changed, make sure it is valid
+    util.invoke(this, 'createState', [options], callback);
+  }
+
+  /**
+   * Gets the state to store for an imported namespace. The key, which is
+   * not part of the export bundle, must exist in this deployment.
+   *
+   * @param options the options to use:
+   *   namespace the imported namespace:
+   *     id the identifier for the namespace.
+   *     algorithm the JWT signing algorithm.
+   *     state the exported namespace state.
+   *     [key] an optional key identifier for this namespace.
+   * @param [callback](err, state) called once the operation completes.
+   */
+  importState(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.importState(options, callback));
+    }
+    util.invoke(this, 'createState', [options], callback);
   }
 
   /**
@@ -37,25 +89,190 @@ class NamespaceHandlerWebKey extends NamespaceHandler {
    *     tokenTtlInSecs the JWT token TTL.
    *     state any custom namespace state.
    *     [key] an optional key identifier for this namespace.
-   * @param callback(err, {id: keyId, material: keyMaterial}) called
+   * @param [callback](err, {id: keyId, material: keyMaterial}) called
    *   once the operation completes.
    */
   getKey(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.getKey(options, callback));
+    }
     const key = options.namespace.key;
-    brKey.getPublicKey({id: key}, null, (err, publicKey, meta, privateKey) => {
+    keySource.getPublicKey(
+      key, {privateKey: true}, (err, publicKey, privateKey) => {
+        if(err) {
+          return callback(new BedrockError('Invalid signing key specified.',
+            'InvalidKey', {key: key}, err));
+        }
+        // ensure that the key has not been revoked
+        if(publicKey.sysStatus !== 'active') {
+          return callback(new BedrockError(
+            'The specified signing key has been revoked.',
+            'InvalidKey', {key: key}));
+        }
+        // ensure that the key can be used with the namespace algorithm
+        const keyTypeError = this._checkKeyType(
+          options.namespace.algorithm, publicKey.publicKeyPem);
+        if(keyTypeError) {
+          return callback(new BedrockError(keyTypeError.message, 'InvalidKey', {
+            key: key,
+            algorithm: options.namespace.algorithm
+          }));
+        }
+        callback(null, {id: key, material: privateKey.privateKeyPem});
+      });
+  }
+
+  /**
+   * Verifies a JWT.
+   *
+   * @param token the token to be verified.
+   * @param options the options to use:
+   *   namespace the namespace to verify with.
+   *   keyId the namespace-specific key ID to use, parsed from the token's
+   *     `kid` value (any namespace identifier in the `kid` has been removed).
+   * @param [callback](err, tokenPayload) called once the operation completes.
+   */
+  verify(token, options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.verify(token, options, callback));
+    }
+    const key = options.keyId;
+    const namespace = options.namespace;
+    if(key !== namespace.key) {
+      return callback(new BedrockError(
+        'Invalid key identifier in token.', 'UnknownKey', {
+          namespace: namespace.id,
+          key: key,
+          httpStatusCode: 401,
+          'public': true
+        }));
+    }
+    keySource.getPublicKey(key, {}, (err, publicKey) => {
+      if(err && err.name === 'NotFound') {
+        return callback(new BedrockError(
+          'Invalid key identifier in token.', 'UnknownKey', {
+            namespace: namespace.id,
+            key: key,
+            httpStatusCode: 401,
+            'public': true
+          }, err));
+      }
       if(err) {
-        return callback(new BedrockError('Invalid signing key specified.',
+        return callback(new BedrockError('Invalid verification key specified.',
           'InvalidKey', {key: key}, err));
       }
       // ensure that the key has not been revoked
       if(publicKey.sysStatus !== 'active') {
         return callback(new BedrockError(
-          'The specified signing key has been revoked.',
-          'InvalidKey', {key: key}));
+          'The specified verification key has been revoked.', 'UnknownKey', {
+            namespace: namespace.id,
+            key: key,
+            httpStatusCode: 401,
+            'public': true
+          }));
+      }
+      // decode and verify the token
+      this._verifyWithKey(token, publicKey.publicKeyPem, namespace, callback);
+    });
+  }
+
+  /**
+   * Gets the public keys, as JSON Web Keys, that can currently verify the
+   * given namespace's tokens.
+   *
+   * @param options the options to use:
+   *   namespace the namespace:
+   *     id the identifier for the namespace.
+   *     algorithm the JWT signing algorithm.
+   *     tokenTtlInSecs the JWT token TTL.
+   *     state any custom namespace state.
+   *     [key] an optional key identifier for this namespace.
+   * @param [callback](err, keys) called once the operation completes.
+   */
+  getJwks(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.getJwks(options, callback));
+    }
+    const key = options.namespace.key;
+    keySource.getPublicKey(key, {}, (err, publicKey) => {
+      if(err) {
+        return callback(new BedrockError('Invalid verification key specified.',
+          'InvalidKey', {key: key}, err));
+      }
+      // revoked keys can no longer verify tokens
+      if(publicKey.sysStatus !== 'active') {
+        return callback(null, []);
+      }
+      let jwk;
+      try {
+        jwk = crypto.createPublicKey(publicKey.publicKeyPem).export(
+          {format: 'jwk'});
+      } catch(e) {
+        return callback(new BedrockError(
+          'The specified key could not be parsed.', 'InvalidKey',
+          {key: key}, e));
+      }
+      // `kid` matches the header set by `NamespaceHandler#sign`
+      jwk.kid = key;
+      jwk.alg = options.namespace.algorithm;
+      jwk.use = 'sig';
+      callback(null, [jwk]);
+    });
+  }
+
+  /**
+   * Checks whether the namespace's key has been revoked (or removed) from
+   * the key source, in which case the namespace can no longer sign tokens.
+   *
+   * @param options the options to use:
+   *   namespace the namespace.
+   *   intervalInSecs the time until maintenance is next performed.
+   * @param [callback](err, result) called once the operation completes.
+   */
+  maintainKeys(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.maintainKeys(options, callback));
+    }
+    const key = options.namespace.key;
+    keySource.getPublicKey(key, {}, (err, publicKey) => {
+      if(err && err.name !== 'NotFound') {
+        return callback(new BedrockError('Invalid verification key specified.',
+          'InvalidKey', {key: key}, err));
       }
-      callback(null, {id: key, material: privateKey.privateKeyPem});
+      callback(null, {keyRevoked: !!err || publicKey.sysStatus !== 'active'});
     });
   }
+
+  _checkKeyType(algorithm, publicKeyPem) {
+    let publicKey;
+    try {
+      publicKey = crypto.createPublicKey(publicKeyPem);
+    } catch(e) {
+      return new Error('The specified key could not be parsed.');
+    }
+    if(algorithm.startsWith('ES')) {
+      if(publicKey.asymmetricKeyType !== 'ec') {
+        return new Error(
+          'The specified key is not an EC key as required by "' +
+          algorithm + '".');
+      }
+      const curve = publicKey.asymmetricKeyDetails.namedCurve;
+      if(curve !== CURVES[algorithm]) {
+        return new Error(
+          'The specified key\'s curve "' + curve + '" does not match the ' +
+          'curve "' + CURVES[algorithm] + '" required by "' + algorithm +
+          '".');
+      }
+      return null;
+    }
+    // `RS*` and `PS*` algorithms both use RSA keys
+    if(publicKey.asymmetricKeyType !== 'rsa') {
+      return new Error(
+        'The specified key is not an RSA key as required by "' +
+        algorithm + '".');
+    }
+    return null;
+  }
 } // end class
 
 module.exports = NamespaceHandlerWebKey;
@@ -7,7 +7,18 @@ const _ = require('lodash');
 const async = require('async');
 const bedrock = require('bedrock');
 const jwt = require('jsonwebtoken');
+const BedrockError = bedrock.util.BedrockError;
+const util = require('./util');
 
+/**
+ * Base class for namespace handlers, which sign and verify the JWTs of
+ * namespaces that use a particular family of algorithms.
+ *
+ * Every public method takes an optional callback and returns a Promise when
+ * it is omitted. Subclasses may implement any of these methods as `async`
+ * methods that ignore the callback instead; such a method must pass a
+ * callback to the `super` method, which would otherwise call it again.
+ */
 class NamespaceHandler {
   /**
    * Creates any custom state information for the given namespace during
@@ -20,13 +31,36 @@ class NamespaceHandler {
    *     tokenTtlInSecs the JWT token TTL.
    *     state any custom namespace state.
    *     [key] an optional key identifier for this namespace.
-   * @param callback(err, state) called once the operation completes.
+   * @param [callback](err, state) called once the operation completes.
    */
   createState(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.createState(options, callback));
+    }
     callback(new Error(
       'NamespaceHandler#createState must be overriden by subclass.'));
   }
 
+  /**
+   * Updates any custom state information for the given namespace after its
+   * configuration has changed. By default, the existing state is kept.
+   *
+   * @param options the options to use:
+   *   namespace the namespace with its updated configuration:
+   *     id the identifier for the namespace.
+   *     algorithm the JWT signing algorithm.
+   *     tokenTtlInSecs the JWT token TTL.
+   *     state any custom namespace state.
+   *     [key] an optional key identifier for this namespace.
+   * @param [callback](err, state) called once the operation completes.
+   */
+  updateState(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.updateState(options, callback));
+    }
+    callback(null, options.namespace.state);
+  }
+
   /**
    * Gets a key from the given options (or elsewhere).
    *
@@ -37,14 +71,40 @@ class NamespaceHandler {
    *     tokenTtlInSecs the JWT token TTL.
    *     state any custom namespace state.
    *     [key] an optional key identifier for this namespace.
-   * @param callback(err, {id: keyId, material: keyMaterial}) called
+   * @param [callback](err, {id: keyId, material: keyMaterial}) called
    *   once the operation completes.
    */
   getKey(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.getKey(options, callback));
+    }
     callback(new Error(
       'NamespaceHandler#getKey must be overriden by subclass.'));
   }
 
+  /**
+   * Replaces the current key with a new one. This is an error unless
+   * overridden by a subclass that manages its own keys.
+   *
+   * @param options the options to use:
+   *   namespace the namespace (or its identifier).
+   *   [revokePrevious] `true` to discard the current and all previous keys
+   *     so that no token signed before the rotation can be verified.
+   *   [actor] the ID of the actor rotating the key, for auditing.
+   * @param [callback](err, state) called once the operation completes.
+   */
+  rotateKey(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.rotateKey(options, callback));
+    }
+    callback(new BedrockError(
+      'Namespace keys cannot be rotated.', 'NotSupportedError', {
+        namespace: options.namespace.id || options.namespace,
+        httpStatusCode: 400,
+        'public': true
+      }));
+  }
+
   /**
    * Verifies a JWT.
    *
@@ -53,13 +113,130 @@ class NamespaceHandler {
    *   namespace the namespace to verify with.
    *   keyId the namespace-specific key ID to use, parsed from the token's
    *     `kid` value (any namespace identifier in the `kid` has been removed).
-   * @param callback(err, tokenPayload) called once the operation completes.
+   * @param [callback](err, tokenPayload) called once the operation completes.
    */
   verify(token, options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.verify(token, options, callback));
+    }
     callback(new Error(
       'NamespaceHandler#verify must be overriden by subclass.'));
   }
 
+  /**
+   * Gets the public keys, as JSON Web Keys, that can currently verify the
+   * given namespace's tokens. Namespaces that use symmetric keys must never
+   * publish them, so this is an error unless overridden by a subclass.
+   *
+   * @param options the options to use:
+   *   namespace the namespace:
+   *     id the identifier for the namespace.
+   *     algorithm the JWT signing algorithm.
+   *     tokenTtlInSecs the JWT token TTL.
+   *     state any custom namespace state.
+   *     [key] an optional key identifier for this namespace.
+   * @param [callback](err, keys) called once the operation completes.
+   */
+  getJwks(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.getJwks(options, callback));
+    }
+    callback(new BedrockError(
+      'Namespace keys cannot be published.', 'NotAllowedError', {
+        namespace: options.namespace.id,
+        httpStatusCode: 400,
+        'public': true
+      }));
+  }
+
+  /**
+   * Performs scheduled maintenance of the given namespace's keys, e.g.
+   * rotating keys before they expire. Does nothing unless overridden by a
+   * subclass.
+   *
+   * @param options the options to use:
+   *   namespace the namespace:
+   *     id the identifier for the namespace.
+   *     algorithm the JWT signing algorithm.
+   *     tokenTtlInSecs the JWT token TTL.
+   *     state any custom namespace state.
+   *     [key] an optional key identifier for this namespace.
+   *   intervalInSecs the time until maintenance is next performed.
+   * @param [callback](err, result) called once the operation completes,
+   *   `result` may have these properties:
+   *     [published] `true` if a new key was published.
+   *     [rotated] `true` if the current key was replaced.
+   *     [keyRevoked] `true` if the namespace's key has been revoked and the
+   *       namespace can no longer sign tokens.
+   */
+  maintainKeys(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.maintainKeys(options, callback));
+    }
+    callback(null, {});
+  }
+
+  /**
+   * Gets a portable copy of the given namespace's state for an export
+   * bundle, e.g. with secret key material that is only usable in this
+   * deployment (wrapped with its key-encryption key) unwrapped. By default,
+   * the state is exported as is.
+   *
+   * @param options the options to use:
+   *   namespace the namespace:
+   *     id the identifier for the namespace.
+   *     algorithm the JWT signing algorithm.
+   *     tokenTtlInSecs the JWT token TTL.
+   *     state any custom namespace state.
+   *     [key] an optional key identifier for this namespace.
+   * @param [callback](err, state) called once the operation completes.
+   */
+  exportState(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.exportState(options, callback));
+    }
+    callback(null, bedrock.util.clone(options.namespace.state));
+  }
+
+  /**
+   * Gets the state to store for a namespace from the portable state in an
+   * export bundle (as produced by `exportState`). By default, the state is
+   * imported as is.
+   *
+   * @param options the options to use:
+   *   namespace the imported namespace:
+   *     id the identifier for the namespace.
+   *     algorithm the JWT signing algorithm.
+   *     tokenTtlInSecs the JWT token TTL.
+   *     state the portable namespace state.
+   *     [key] an optional key identifier for this namespace.
+   * @param [callback](err, state) called once the operation completes.
+   */
+  importState(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.importState(options, callback));
+    }
+    callback(null, bedrock.util.clone(options.namespace.state));
+  }
+
+  /**
+   * Gets the state to store when an imported namespace replaces a
+   * provisioned one, e.g. with the provisioned namespace's keys retained so
+   * that the tokens they signed can still be verified. By default, the
+   * imported state replaces the provisioned state.
+   *
+   * @param options the options to use:
+   *   namespace the imported namespace, with the state from `importState`.
+   *   existing the provisioned namespace.
+   * @param [callback](err, state) called once the operation completes.
+   */
+  mergeState(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.mergeState(options, callback));
+    }
+    callback(null, bedrock.util.clone(options.namespace.state));
+  }
+
   /**
    * Create a JWT.
    *
@@ -72,29 +249,268 @@ class NamespaceHandler {
    *     [key] an optional key identifier for this namespace.
    *   payload the payload to sign and include in the JWT.
    *
-   * @param callback(err, token) called once the operation completes.
+   * @param [callback](err, token) called once the operation completes.
    */
   sign(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.sign(options, callback));
+    }
     const self = this;
     const payload = bedrock.util.clone(options.payload);
+    const nowInSecs = Math.floor(Date.now() / 1000);
+    const err = self._applyClaimPolicy(payload, options.namespace, nowInSecs);
+    if(err) {
+      return callback(err);
+    }
     async.auto({
-      getKey: self.getKey.bind(self, {namespace: options.namespace}),
+      getKey: callback => util.invoke(
+        self, 'getKey', [{namespace: options.namespace}], callback),
       create: ['getKey', (callback, results) => {
         const key = results.getKey;
-        const nowInSecs = Math.floor(Date.now() / 1000);
         const notAfter = (nowInSecs + options.namespace.tokenTtlInSecs);
         _.assign(payload, {exp: notAfter, iat: nowInSecs});
-        const token = jwt.sign(payload, key.material, {
-          algorithm: options.namespace.algorithm,
-          header: {
+        let token;
+        try {
+          token = self._createToken(payload, key.material, {
+            algorithm: options.namespace.algorithm,
             kid: options.namespace.algorithm.startsWith('HS') ?
               (options.namespace.id + ':' + key.id) : key.id
-          }
-        });
+          });
+        } catch(e) {
+          return callback(e);
+        }
         return callback(null, token);
       }]
     }, (err, results) => callback(err, results ? results.create : null));
   }
+
+  /**
+   * Encodes and signs a JWT. Subclasses may override this to support
+   * algorithms that `jsonwebtoken` does not.
+   *
+   * @param payload the complete payload for the JWT.
+   * @param material the signing key material.
+   * @param options the options to use:
+   *   algorithm the JWT signing algorithm.
+   *   kid the value for the `kid` header.
+   *
+   * @return the JWT.
+   */
+  _createToken(payload, material, options) {
+    return jwt.sign(payload, material, {
+      algorithm: options.algorithm,
+      header: {kid: options.kid}
+    });
+  }
+
+  /**
+   * Decodes a JWT, checks its signature, its `exp` and `nbf` claims and the
+   * namespace's claim policy.
+   *
+   * @param token the token to be verified.
+   * @param material the verification key material.
+   * @param namespace the namespace to verify with.
+   * @param [callback](err, tokenPayload) called once the operation completes,
+   *   `err` is a public `BedrockError` if the token is not valid.
+   */
+  _verifyWithKey(token, material, namespace, callback) {
+    this._verifyToken(token, material, {
+      algorithm: namespace.algorithm,
+      clockToleranceInSecs: namespace.clockToleranceInSecs
+    }, (err, payload) => {
+      if(!err) {
+        err = this._checkClaimPolicy(payload, namespace);
+      }
+      if(err) {
+        return callback(this._toVerificationError(err, namespace));
+      }
+      callback(null, payload);
+    });
+  }
+
+  /**
+   * Converts an error from `_verifyToken` or `_checkClaimPolicy` into a
+   * public `BedrockError`. Errors that are not `jsonwebtoken` errors (e.g.
+   * failures to load key material) are returned as is.
+   *
+   * @param err the error to convert.
+   * @param namespace the namespace the token was verified with.
+   *
+   * @return the converted error.
+   */
+  _toVerificationError(err, namespace) {
+    if(err instanceof jwt.TokenExpiredError) {
+      return new BedrockError(
+        'Token has expired.', 'TokenExpired', {
+          namespace: namespace.id,
+          expiredAt: err.expiredAt,
+          httpStatusCode: 401,
+          'public': true
+        }, err);
+    }
+    if(err instanceof jwt.NotBeforeError) {
+      return new BedrockError(
+        'Token is not yet valid.', 'TokenNotYetValid', {
+          namespace: namespace.id,
+          notBefore: err.date,
+          httpStatusCode: 401,
+          'public': true
+        }, err);
+    }
+    if(!(err instanceof jwt.JsonWebTokenError)) {
+      return err;
+    }
+    if(err.message === 'invalid signature') {
+      return new BedrockError(
+        'Token signature is invalid.', 'InvalidSignature', {
+          namespace: namespace.id,
+          httpStatusCode: 401,
+          'public': true
+        }, err);
+    }
+    if(err.message === 'invalid algorithm') {
+      return new BedrockError(
+        'Unsupported algorithm.', 'UnsupportedAlgorithm', {
+          namespace: namespace.id,
+          algorithm: namespace.algorithm,
+          httpStatusCode: 400,
+          'public': true
+        }, err);
+    }
+    return new BedrockError(
+      'Invalid token.', 'MalformedToken', {
+        namespace: namespace.id,
+        httpStatusCode: 400,
+        'public': true
+      }, err);
+  }
+
+  /**
+   * Stamps the claims required by the namespace's claim policy (if any) on
+   * a payload that is about to be signed.
+   *
+   * @param payload the payload to update.
+   * @param namespace the namespace the payload will be signed with.
+   * @param nowInSecs the time the token is issued at.
+   *
+   * @return an Error if the payload conflicts with the claim policy or
+   *   `null` on success.
+   */
+  _applyClaimPolicy(payload, namespace, nowInSecs) {
+    const policy = namespace.claimPolicy;
+    if(!policy) {
+      return null;
+    }
+    if('issuer' in policy) {
+      payload.iss = policy.issuer;
+    }
+    if('audiences' in policy) {
+      if('aud' in payload) {
+        const audiences = [].concat(payload.aud);
+        const invalid = audiences.filter(
+          aud => policy.audiences.indexOf(aud) === -1);
+        if(invalid.length > 0) {
+          return new BedrockError(
+            'Token audience is not allowed by namespace.', 'NotAllowedError', {
+              namespace: namespace.id,
+              audiences: invalid,
+              httpStatusCode: 400,
+              'public': true
+            });
+        }
+      } else {
+        payload.aud = policy.audiences.length === 1 ?
+          policy.audiences[0] : policy.audiences.slice();
+      }
+    }
+    if('notBeforeOffsetInSecs' in policy) {
+      payload.nbf = nowInSecs + policy.notBeforeOffsetInSecs;
+    }
+    const missing = (policy.requiredClaims || []).filter(
+      claim => !(claim in payload));
+    if(missing.length > 0) {
+      return new BedrockError(
+        'Token payload is missing claims required by namespace.',
+        'DataError', {
+          namespace: namespace.id,
+          claims: missing,
+          httpStatusCode: 400,
+          'public': true
+        });
+    }
+    return null;
+  }
+
+  /**
+   * Checks a verified payload against the namespace's claim policy (if any).
+   *
+   * @param payload the verified payload.
+   * @param namespace the namespace the payload was verified with.
+   *
+   * @return an `InvalidClaims` error or a `jsonwebtoken` `TokenExpiredError`
+   *   if the payload does not satisfy the claim policy or `null` on success.
+   */
+  _checkClaimPolicy(payload, namespace) {
+    const policy = namespace.claimPolicy;
+    if(!policy) {
+      return null;
+    }
+    const invalid = (message, details) => new BedrockError(
+      message, 'InvalidClaims', _.assign({
+        namespace: namespace.id,
+        httpStatusCode: 401,
+        'public': true
+      }, details));
+    if('issuer' in policy && payload.iss !== policy.issuer) {
+      return invalid('Token issuer is not allowed by namespace.');
+    }
+    if('audiences' in policy) {
+      const audiences = [].concat(payload.aud === undefined ? [] : payload.aud);
+      if(!audiences.some(aud => policy.audiences.indexOf(aud) !== -1)) {
+        return invalid('Token audience is not allowed by namespace.');
+      }
+    }
+    const missing = (policy.requiredClaims || []).filter(
+      claim => !(claim in payload));
+    if(missing.length > 0) {
+      return invalid(
+        'Token payload is missing claims required by namespace.',
+        {claims: missing});
+    }
+    if('maxTokenAgeInSecs' in policy) {
+      if(typeof payload.iat !== 'number') {
+        return invalid(
+          'Token payload must have an "iat" claim to check its age.');
+      }
+      const nowInSecs = Math.floor(Date.now() / 1000);
+      const maxAge = payload.iat + policy.maxTokenAgeInSecs;
+      if(nowInSecs >= maxAge + (namespace.clockToleranceInSecs || 0)) {
+        return new jwt.TokenExpiredError(
+          'maxAge exceeded', new Date(maxAge * 1000));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Decodes a JWT, checks its signature and its `exp` and `nbf` claims.
+   * Subclasses may override this to support algorithms that `jsonwebtoken`
+   * does not.
+   *
+   * @param token the token to be verified.
+   * @param material the verification key material.
+   * @param options the options to use:
+   *   algorithm the JWT signing algorithm.
+   *   clockToleranceInSecs the acceptable clock skew.
+   * @param [callback](err, tokenPayload) called once the operation completes.
+   */
+  _verifyToken(token, material, options, callback) {
+    jwt.verify(
+      token, material, {
+        algorithms: [options.algorithm],
+        clockTolerance: options.clockToleranceInSecs
+      }, callback);
+  }
 }
 
 module.exports = NamespaceHandler;
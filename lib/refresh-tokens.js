@@ -0,0 +1,84 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const storage = require('./storage');
+
+const api = {};
+module.exports = api;
+
+/**
+ * Creates a new opaque refresh token.
+ *
+ * @return the refresh token.
+ */
+api.create = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Stores a refresh token. Only a hash of the token is stored by the
+ * `MongoDbStorage` adapter; the record is removed by the storage backend
+ * once the token has expired.
+ *
+ * @param options the options to use:
+ *   token the refresh token.
+ *   family the ID of the token family, shared by all refresh tokens that
+ *     were exchanged for one another.
+ *   namespace the ID of the namespace to issue access tokens from.
+ *   payload the payload of the access tokens to issue.
+ *   jti the `jti` of the access token issued with the refresh token.
+ *   accessTokenExpires the date after which the access token can no longer
+ *     be verified.
+ *   ttlInSecs the refresh token TTL.
+ * @param callback(err) called once the operation completes.
+ */
+api.insert = (options, callback) => {
+  const now = Date.now();
+  storage.getAdapter().insertRefreshToken(options.token, {
+    family: options.family,
+    namespace: options.namespace,
+    payload: options.payload,
+    jti: options.jti,
+    accessTokenExpires: options.accessTokenExpires,
+    ttlInSecs: options.ttlInSecs,
+    expires: new Date(now + options.ttlInSecs * 1000),
+    used: false,
+    revoked: false,
+    meta: {
+      created: now,
+      updated: now
+    }
+  }, callback);
+};
+
+/**
+ * Gets the record of a refresh token.
+ *
+ * @param token the refresh token.
+ * @param callback(err, record) called once the operation completes, `record`
+ *   is `null` if the token is not known.
+ */
+api.get = (token, callback) =>
+  storage.getAdapter().getRefreshToken(token, callback);
+
+/**
+ * Marks a refresh token as used. Only one of any concurrent calls for the
+ * same token succeeds, and only if the token has not been revoked.
+ *
+ * @param token the refresh token.
+ * @param callback(err, marked) called once the operation completes, `marked`
+ *   is `false` if the token had already been used or has been revoked.
+ */
+api.markUsed = (token, callback) =>
+  storage.getAdapter().markRefreshTokenUsed(token, callback);
+
+/**
+ * Revokes every refresh token of a token family.
+ *
+ * @param family the ID of the token family.
+ * @param callback(err, records) called once the operation completes with the
+ *   records of the family's refresh tokens.
+ */
+api.revokeFamily = (family, callback) =>
+  storage.getAdapter().revokeRefreshTokenFamily(family, callback);
@@ -0,0 +1,33 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const storage = require('./storage');
+
+const api = {};
+module.exports = api;
+
+/**
+ * Adds a token to the revocation list. The entry is removed by the storage
+ * backend once the token would have expired anyway.
+ *
+ * @param options the options to use:
+ *   namespace the ID of the namespace the token was issued from.
+ *   jti the ID of the token.
+ *   expires the date after which the token can no longer be verified.
+ * @param callback(err) called once the operation completes.
+ */
+api.insert = (options, callback) =>
+  storage.getAdapter().insertRevocation(options, callback);
+
+/**
+ * Checks whether a token is in the revocation list.
+ *
+ * @param options the options to use:
+ *   namespace the ID of the namespace the token was issued from.
+ *   jti the ID of the token.
+ * @param callback(err, revoked) called once the operation completes.
+ */
+api.isRevoked = (options, callback) =>
+  storage.getAdapter().isRevoked(options, callback);
@@ -0,0 +1,215 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _ = require('lodash');
+const bedrock = require('bedrock');
+const BedrockError = bedrock.util.BedrockError;
+
+/**
+ * A storage adapter that keeps all records in process memory, e.g. for unit
+ * tests and single-process tools. Records are lost when the process exits
+ * and are not shared with other processes. See `MongoDbStorage` for the
+ * documentation of each method.
+ */
+class MemoryStorage {
+  constructor() {
+    // records by namespace ID
+    this._records = new Map();
+    // revocation expiration dates by namespace ID and `jti`
+    this._revocations = new Map();
+    // refresh token records by token
+    this._refreshTokens = new Map();
+    // audit records in the order they were recorded
+    this._auditRecords = [];
+    // ensures records created within the same millisecond keep their order
+    this._order = 0;
+  }
+
+  get(id, callback) {
+    const record = this._records.get(id);
+    this._callLater(callback, null, record ? _.cloneDeep(record) : null);
+  }
+
+  getSequence(id, callback) {
+    const record = this._records.get(id);
+    this._callLater(callback, null, record ? record.meta.sequence : null);
+  }
+
+  find(query, options, callback) {
+    let records = [];
+    this._records.forEach(record => {
+      if(Object.keys(query).every(
+        field => _.isEqual(_.get(record.namespace, field), query[field]))) {
+        records.push(record);
+      }
+    });
+    records = _.sortBy(records, ['meta.created', '_order']);
+    const offset = options.offset || 0;
+    const end = 'limit' in options ? offset + options.limit : undefined;
+    records = records.slice(offset, end).map(record => _.cloneDeep(record));
+    this._callLater(callback, null, records);
+  }
+
+  insert(namespace, callback) {
+    if(this._records.has(namespace.id)) {
+      return this._callLater(callback, new BedrockError(
+        'Namespace already exists.', 'DuplicateError',
+        {namespace: namespace.id, httpStatusCode: 409, 'public': true}));
+    }
+    if(this._hasKeyConflict(namespace)) {
+      return this._callLater(callback, _keyConflictError(namespace.id));
+    }
+    const now = Date.now();
+    const record = {
+      meta: {
+        created: now,
+        updated: now,
+        sequence: 0
+      },
+      namespace: _.cloneDeep(namespace)
+    };
+    Object.defineProperty(
+      record, '_order', {value: this._order++, enumerable: false});
+    this._records.set(namespace.id, record);
+    this._callLater(callback, null, _.cloneDeep(record));
+  }
+
+  update(id, options, callback) {
+    const record = this._records.get(id);
+    const expect = options.expect || {};
+    const matches = record && Object.keys(expect).every(path => {
+      if(expect[path] === undefined) {
+        return !_.has(record, path);
+      }
+      return _.isEqual(_.get(record, path), expect[path]);
+    });
+    if(!matches) {
+      return this._callLater(callback, null, false);
+    }
+    const updated = _.cloneDeep(record);
+    Object.keys(options.set).forEach(
+      path => _.set(updated, path, _.cloneDeep(options.set[path])));
+    if(this._hasKeyConflict(updated.namespace)) {
+      return this._callLater(callback, _keyConflictError(id));
+    }
+    Object.keys(options.set).forEach(
+      path => _.set(record, path, _.cloneDeep(options.set[path])));
+    record.meta.updated = Date.now();
+    // records from before sequences were tracked have no `meta.sequence`
+    record.meta.sequence = (record.meta.sequence || 0) + 1;
+    this._callLater(callback, null, true);
+  }
+
+  remove(id, callback) {
+    this._callLater(callback, null, this._records.delete(id));
+  }
+
+  insertRevocation(options, callback) {
+    this._removeExpired(this._revocations, expires => expires);
+    const id = options.namespace + ':' + options.jti;
+    const expires = this._revocations.get(id);
+    // a token may be revoked more than once; keep the latest expiration
+    if(!expires || expires < options.expires) {
+      this._revocations.set(id, options.expires);
+    }
+    this._callLater(callback);
+  }
+
+  isRevoked(options, callback) {
+    const expires = this._revocations.get(
+      options.namespace + ':' + options.jti);
+    this._callLater(callback, null, !!expires && expires > new Date());
+  }
+
+  insertRefreshToken(token, record, callback) {
+    this._removeExpired(this._refreshTokens, record => record.expires);
+    this._refreshTokens.set(token, _.cloneDeep(record));
+    this._callLater(callback);
+  }
+
+  getRefreshToken(token, callback) {
+    const record = this._refreshTokens.get(token);
+    this._callLater(callback, null, record ? _.cloneDeep(record) : null);
+  }
+
+  markRefreshTokenUsed(token, callback) {
+    const record = this._refreshTokens.get(token);
+    if(!record || record.used || record.revoked) {
+      return this._callLater(callback, null, false);
+    }
+    record.used = true;
+    record.meta.updated = Date.now();
+    this._callLater(callback, null, true);
+  }
+
+  revokeRefreshTokenFamily(family, callback) {
+    const records = [];
+    this._refreshTokens.forEach(record => {
+      if(record.family === family) {
+        record.revoked = true;
+        record.meta.updated = Date.now();
+        records.push(_.cloneDeep(
+          _.pick(record, ['namespace', 'jti', 'accessTokenExpires'])));
+      }
+    });
+    this._callLater(callback, null, records);
+  }
+
+  insertAuditRecord(record, callback) {
+    const now = new Date();
+    this._auditRecords = this._auditRecords.filter(
+      record => record.expires > now);
+    this._auditRecords.push(_.cloneDeep(record));
+    this._callLater(callback);
+  }
+
+  getTime(callback) {
+    this._callLater(callback, null, new Date());
+  }
+
+  // checks whether another namespace uses the same key and algorithm, like
+  // the unique index of `MongoDbStorage`
+  _hasKeyConflict(namespace) {
+    if(namespace.key === undefined) {
+      return false;
+    }
+    for(const record of this._records.values()) {
+      if(record.namespace.id !== namespace.id &&
+        record.namespace.key === namespace.key &&
+        record.namespace.algorithm === namespace.algorithm) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // removes entries whose expiration date has passed, like the TTL indexes
+  // of `MongoDbStorage`
+  _removeExpired(entries, getExpires) {
+    const now = new Date();
+    entries.forEach((entry, key) => {
+      if(getExpires(entry) <= now) {
+        entries.delete(key);
+      }
+    });
+  }
+
+  // calls back asynchronously, like a real storage backend
+  _callLater(callback, err, result) {
+    setImmediate(() => callback(err, result));
+  }
+} // end class
+
+function _keyConflictError(id) {
+  return new BedrockError(
+    'Another namespace uses the same key and algorithm.', 'DuplicateError', {
+      namespace: id,
+      conflicts: ['key'],
+      httpStatusCode: 409,
+      'public': true
+    });
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,446 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const _ = require('lodash');
+const bedrock = require('bedrock');
+const BedrockError = bedrock.util.BedrockError;
+
+const logger = bedrock.loggers.get('app');
+
+// loaded by the first adapter so that applications that use another
+// adapter do not need MongoDB
+let database;
+
+/**
+ * A storage adapter stores namespace records, each of which has the form
+ * `{meta: {created, updated, sequence}, namespace}`, as well as token
+ * revocations, refresh tokens and audit records. Custom adapters must
+ * implement the same methods as this class; every change to a record must
+ * be atomic.
+ *
+ * This default adapter stores namespace records in the `jwtKeyStore`
+ * collection, revocations in `jwtRevocation`, refresh tokens in
+ * `jwtRefreshToken` and audit records in `jwtAudit`. Its first instance
+ * loads `bedrock-mongodb`, so it must be created before bedrock
+ * initializes.
+ */
+class MongoDbStorage {
+  constructor() {
+    database = require('bedrock-mongodb');
+  }
+
+  /**
+   * Gets a namespace record.
+   *
+   * @param id the ID of the namespace.
+   * @param callback(err, record) called once the operation completes,
+   *   `record` is `null` if the namespace does not exist.
+   */
+  get(id, callback) {
+    database.collections.jwtKeyStore.findOne(
+      {id: database.hash(id)}, {meta: true, namespace: true}, (err, record) => {
+        if(err) {
+          logger.error('Mongo error when trying to find key state.', err);
+          return callback(new BedrockError(
+            'Failed to find key state due to internal error.',
+            'InternalError',
+            {namespace: id, httpStatusCode: 500, 'public': true}, err));
+        }
+        callback(null, record);
+      });
+  }
+
+  /**
+   * Gets the `meta.sequence` of a namespace record without reading the rest
+   * of the record, e.g. to check whether a cached copy is still current.
+   *
+   * @param id the ID of the namespace.
+   * @param callback(err, sequence) called once the operation completes,
+   *   `sequence` is `null` if the namespace does not exist and `undefined`
+   *   if its record predates sequences.
+   */
+  getSequence(id, callback) {
+    database.collections.jwtKeyStore.findOne(
+      {id: database.hash(id)}, {'meta.sequence': true}, (err, record) => {
+        if(err) {
+          logger.error('Mongo error when trying to find key state.', err);
+          return callback(new BedrockError(
+            'Failed to find key state due to internal error.',
+            'InternalError',
+            {namespace: id, httpStatusCode: 500, 'public': true}, err));
+        }
+        callback(null, record ? record.meta.sequence : null);
+      });
+  }
+
+  /**
+   * Finds namespace records, oldest first.
+   *
+   * @param query the values that namespace properties (by dotted path) must
+   *   equal, e.g. `{key: 'https://example.com/keys/1', algorithm: 'RS256'}`.
+   * @param options the options to use:
+   *   [offset] the number of records to skip.
+   *   [limit] the maximum number of records to return.
+   * @param callback(err, records) called once the operation completes.
+   */
+  find(query, options, callback) {
+    const mongoQuery = {};
+    Object.keys(query).forEach(field => {
+      mongoQuery['namespace.' + field] = query[field];
+    });
+    let cursor = database.collections.jwtKeyStore.find(
+      mongoQuery, {meta: true, namespace: true}).sort(
+      {'meta.created': 1, _id: 1});
+    if(options.offset) {
+      cursor = cursor.skip(options.offset);
+    }
+    if('limit' in options) {
+      cursor = cursor.limit(options.limit);
+    }
+    cursor.toArray((err, records) => {
+      if(err) {
+        logger.error('Mongo error when trying to find namespaces.', err);
+        return callback(new BedrockError(
+          'Failed to find namespaces due to internal error.',
+          'InternalError', {httpStatusCode: 500, 'public': true}, err));
+      }
+      callback(null, records);
+    });
+  }
+
+  /**
+   * Inserts a namespace record.
+   *
+   * @param namespace the namespace.
+   * @param callback(err, record) called once the operation completes, `err`
+   *   is a `DuplicateError` if the namespace already exists, or one with
+   *   `conflicts: ['key']` if another namespace uses the same `key` and
+   *   `algorithm` (tokens are matched to such namespaces by their key).
+   */
+  insert(namespace, callback) {
+    const now = Date.now();
+    const record = {
+      id: database.hash(namespace.id),
+      meta: {
+        created: now,
+        updated: now,
+        sequence: 0
+      },
+      namespace: namespace
+    };
+    database.collections.jwtKeyStore.insert(
+      record, database.writeOptions, (err, result) => {
+        if(err) {
+          if(database.isDuplicateError(err)) {
+            if(_isKeyConflict(err)) {
+              return callback(_keyConflictError(namespace.id, err));
+            }
+            return callback(new BedrockError(
+              'Namespace already exists.', 'DuplicateError',
+              {namespace: namespace.id, httpStatusCode: 409, 'public': true},
+              err));
+          }
+          logger.error(
+            '[jwt-mongodb] Mongo error when trying to insert namespace.', err);
+          return callback(new BedrockError(
+            'Failed to insert namespace due to internal error.',
+            'InternalError',
+            {namespace: namespace.id, httpStatusCode: 500, 'public': true},
+            err));
+        }
+        callback(null, result.ops[0]);
+      });
+  }
+
+  /**
+   * Updates a namespace record if it matches the expected values (compare
+   * and swap). `meta.updated` is always set to the current time and
+   * `meta.sequence` is incremented, so that callers can expect the
+   * `meta.sequence` they read to detect any concurrent update.
+   *
+   * @param id the ID of the namespace.
+   * @param options the options to use:
+   *   set the new values by (dotted) path within the record, e.g.
+   *     `{'namespace.state': state}`.
+   *   [expect] the expected values by (dotted) path; `undefined` means the
+   *     path must not exist.
+   * @param callback(err, updated) called once the operation completes,
+   *   `updated` is `false` if the namespace does not exist or does not
+   *   match the expected values; `err` is a `DuplicateError` with
+   *   `conflicts: ['key']` if another namespace uses the updated `key` and
+   *   `algorithm`.
+   */
+  update(id, options, callback) {
+    const query = {id: database.hash(id)};
+    const expect = options.expect || {};
+    Object.keys(expect).forEach(path => {
+      query[path] = expect[path] === undefined ?
+        {$exists: false} : expect[path];
+    });
+    database.collections.jwtKeyStore.update(query, {
+      $set: _.assign({}, options.set, {'meta.updated': Date.now()}),
+      $inc: {'meta.sequence': 1}
+    }, database.writeOptions, (err, result) => {
+      if(err && database.isDuplicateError(err) && _isKeyConflict(err)) {
+        return callback(_keyConflictError(id, err));
+      }
+      if(err) {
+        logger.error('Mongo error when trying to update key state.', err);
+        return callback(new BedrockError(
+          'Failed to update key state due to internal error.',
+          'InternalError',
+          {namespace: id, httpStatusCode: 500, 'public': true}, err));
+      }
+      callback(null, result.result.n > 0);
+    });
+  }
+
+  /**
+   * Removes a namespace record.
+   *
+   * @param id the ID of the namespace.
+   * @param callback(err, removed) called once the operation completes,
+   *   `removed` is `false` if the namespace does not exist.
+   */
+  remove(id, callback) {
+    database.collections.jwtKeyStore.remove(
+      {id: database.hash(id)}, database.writeOptions, (err, result) => {
+        if(err) {
+          logger.error(
+            '[jwt-mongodb] Mongo error when trying to remove namespace.', err);
+          return callback(new BedrockError(
+            'Failed to remove namespace due to internal error.',
+            'InternalError',
+            {namespace: id, httpStatusCode: 500, 'public': true}, err));
+        }
+        callback(null, result.result.n > 0);
+      });
+  }
+
+  /**
+   * Adds a token to the revocation list. The entry may be removed once the
+   * token would have expired anyway.
+   *
+   * @param options the options to use:
+   *   namespace the ID of the namespace the token was issued from.
+   *   jti the ID of the token.
+   *   expires the date after which the token can no longer be verified.
+   * @param callback(err) called once the operation completes.
+   */
+  insertRevocation(options, callback) {
+    database.collections.jwtRevocation.update({
+      id: database.hash(options.namespace + ':' + options.jti)
+    }, {
+      $setOnInsert: {
+        namespace: database.hash(options.namespace),
+        'meta.created': Date.now()
+      },
+      // a token may be revoked more than once; keep the latest expiration
+      $max: {expires: options.expires}
+    }, _.assign({}, database.writeOptions, {upsert: true}), err => {
+      if(err) {
+        logger.error(
+          '[jwt-mongodb] Mongo error when trying to revoke token.', err);
+        return callback(new BedrockError(
+          'Failed to revoke token due to internal error.',
+          'InternalError',
+          {namespace: options.namespace, httpStatusCode: 500, 'public': true},
+          err));
+      }
+      callback();
+    });
+  }
+
+  /**
+   * Checks whether a token is in the revocation list.
+   *
+   * @param options the options to use:
+   *   namespace the ID of the namespace the token was issued from.
+   *   jti the ID of the token.
+   * @param callback(err, revoked) called once the operation completes.
+   */
+  isRevoked(options, callback) {
+    database.collections.jwtRevocation.findOne({
+      id: database.hash(options.namespace + ':' + options.jti)
+    }, {_id: true}, (err, record) => {
+      if(err) {
+        logger.error(
+          '[jwt-mongodb] Mongo error when trying to find revoked token.', err);
+        return callback(new BedrockError(
+          'Failed to check token revocation due to internal error.',
+          'InternalError',
+          {namespace: options.namespace, httpStatusCode: 500, 'public': true},
+          err));
+      }
+      callback(null, !!record);
+    });
+  }
+
+  /**
+   * Inserts the record of a refresh token. Only a hash of the token is
+   * stored; the record may be removed once its `expires` date has passed.
+   *
+   * @param token the refresh token.
+   * @param record the record, see `refresh-tokens.insert`.
+   * @param callback(err) called once the operation completes.
+   */
+  insertRefreshToken(token, record, callback) {
+    database.collections.jwtRefreshToken.insert(
+      _.assign({id: database.hash(token)}, record), database.writeOptions,
+      err => {
+        if(err) {
+          logger.error(
+            '[jwt-mongodb] Mongo error when trying to insert refresh token.',
+            err);
+          return callback(new BedrockError(
+            'Failed to issue refresh token due to internal error.',
+            'InternalError',
+            {namespace: record.namespace, httpStatusCode: 500, 'public': true},
+            err));
+        }
+        callback();
+      });
+  }
+
+  /**
+   * Gets the record of a refresh token.
+   *
+   * @param token the refresh token.
+   * @param callback(err, record) called once the operation completes,
+   *   `record` is `null` if the token is not known.
+   */
+  getRefreshToken(token, callback) {
+    database.collections.jwtRefreshToken.findOne(
+      {id: database.hash(token)}, {_id: false, id: false}, (err, record) => {
+        if(err) {
+          logger.error(
+            '[jwt-mongodb] Mongo error when trying to find refresh token.',
+            err);
+          return callback(new BedrockError(
+            'Failed to find refresh token due to internal error.',
+            'InternalError', {httpStatusCode: 500, 'public': true}, err));
+        }
+        callback(null, record);
+      });
+  }
+
+  /**
+   * Marks a refresh token as used. Only one of any concurrent calls for the
+   * same token succeeds, and only if the token has not been revoked.
+   *
+   * @param token the refresh token.
+   * @param callback(err, marked) called once the operation completes,
+   *   `marked` is `false` if the token had already been used or has been
+   *   revoked.
+   */
+  markRefreshTokenUsed(token, callback) {
+    database.collections.jwtRefreshToken.update({
+      id: database.hash(token),
+      used: false,
+      revoked: false
+    }, {
+      $set: {used: true, 'meta.updated': Date.now()}
+    }, database.writeOptions, (err, result) => {
+      if(err) {
+        logger.error(
+          '[jwt-mongodb] Mongo error when trying to update refresh token.',
+          err);
+        return callback(new BedrockError(
+          'Failed to use refresh token due to internal error.',
+          'InternalError', {httpStatusCode: 500, 'public': true}, err));
+      }
+      callback(null, result.result.n !== 0);
+    });
+  }
+
+  /**
+   * Revokes every refresh token of a token family.
+   *
+   * @param family the ID of the token family.
+   * @param callback(err, records) called once the operation completes with
+   *   the `namespace`, `jti` and `accessTokenExpires` of the family's refresh
+   *   token records.
+   */
+  revokeRefreshTokenFamily(family, callback) {
+    const collection = database.collections.jwtRefreshToken;
+    collection.update(
+      {family: family}, {$set: {revoked: true, 'meta.updated': Date.now()}},
+      _.assign({}, database.writeOptions, {multi: true}), err => {
+        if(err) {
+          logger.error(
+            '[jwt-mongodb] Mongo error when trying to revoke refresh tokens.',
+            err);
+          return callback(new BedrockError(
+            'Failed to revoke refresh tokens due to internal error.',
+            'InternalError', {httpStatusCode: 500, 'public': true}, err));
+        }
+        collection.find({family: family}, {
+          _id: false, namespace: true, jti: true, accessTokenExpires: true
+        }).toArray((err, records) => {
+          if(err) {
+            logger.error(
+              '[jwt-mongodb] Mongo error when trying to find refresh tokens.',
+              err);
+            return callback(new BedrockError(
+              'Failed to revoke refresh tokens due to internal error.',
+              'InternalError', {httpStatusCode: 500, 'public': true}, err));
+          }
+          callback(null, records);
+        });
+      });
+  }
+
+  /**
+   * Inserts an audit record. The record may be removed once its `expires`
+   * date has passed.
+   *
+   * @param record the audit record, see `audit.record`.
+   * @param callback(err) called once the operation completes.
+   */
+  insertAuditRecord(record, callback) {
+    database.collections.jwtAudit.insert(
+      _.assign({}, record), database.writeOptions, err => {
+        if(err) {
+          logger.error(
+            '[jwt-mongodb] Mongo error when trying to insert audit record.',
+            err);
+        }
+        callback(err);
+      });
+  }
+
+  /**
+   * Gets the current time of the storage backend, which all nodes share as
+   * the source of truth for time-based decisions such as key rotation.
+   *
+   * @param callback(err, date) called once the operation completes.
+   */
+  getTime(callback) {
+    database.client.command({isMaster: 1}, (err, result) => {
+      if(!err && !(result && result.localTime instanceof Date)) {
+        err = new Error('MongoDB server time is not available.');
+      }
+      callback(err, err ? null : result.localTime);
+    });
+  }
+} // end class
+
+// the unique index on the key and algorithm of namespaces is named so that
+// its violations can be told from those of the namespace ID index
+function _isKeyConflict(err) {
+  return String(err.message).indexOf('namespaceKey') !== -1;
+}
+
+function _keyConflictError(id, cause) {
+  return new BedrockError(
+    'Another namespace uses the same key and algorithm.', 'DuplicateError', {
+      namespace: id,
+      conflicts: ['key'],
+      httpStatusCode: 409,
+      'public': true
+    }, cause);
+}
+
+module.exports = MongoDbStorage;
@@ -0,0 +1,41 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const MemoryStorage = require('./storage-memory');
+const MongoDbStorage = require('./storage-mongodb');
+const namespaceCache = require('./namespace-cache');
+
+const api = {};
+module.exports = api;
+
+api.MemoryStorage = MemoryStorage;
+api.MongoDbStorage = MongoDbStorage;
+
+let adapter = null;
+
+/**
+ * Sets the storage adapter for namespace records, revocations, refresh
+ * tokens and audit records. It should be set before bedrock starts; records
+ * are not copied between adapters.
+ *
+ * @param storage the storage adapter to use.
+ */
+api.setAdapter = storage => {
+  adapter = storage;
+  namespaceCache.clear();
+};
+
+/**
+ * Gets the current storage adapter, creating the default `MongoDbStorage`
+ * adapter if none has been set.
+ *
+ * @return the storage adapter.
+ */
+api.getAdapter = () => {
+  if(!adapter) {
+    adapter = new MongoDbStorage();
+  }
+  return adapter;
+};
@@ -3,45 +3,90 @@
  */
 'use strict';
 
+const _ = require('lodash');
 const async = require('async');
 const bedrock = require('bedrock');
-const database = require('bedrock-mongodb');
 const jwt = require('jsonwebtoken');
 const BedrockError = bedrock.util.BedrockError;
+const NamespaceHandler = require('./namespace-handler');
+const audit = require('./audit');
+const didResolver = require('./did-resolver');
+const encryption = require('./encryption');
+const exportBundle = require('./bundle');
+const NamespaceHandlerEdDsa = require('./namespace-handler-eddsa');
 const NamespaceHandlerWebKey = require('./namespace-handler-web-key');
 const NamespaceHandlerHmac = require('./namespace-handler-hmac');
+const namespaceCache = require('./namespace-cache');
+const refreshTokens = require('./refresh-tokens');
+const revocations = require('./revocations');
+const storage = require('./storage');
+const util = require('./util');
+const config = bedrock.config;
 
 const logger = bedrock.loggers.get('app');
 
+/**
+ * A store of namespaces whose JWT keys are kept in MongoDB. Every public
+ * method takes an optional callback and returns a Promise when it is omitted.
+ */
 class Store {
   constructor() {
     const handlerWebKey = new NamespaceHandlerWebKey();
-    this.handlers = {
-      HS: new NamespaceHandlerHmac(),
-      RS: handlerWebKey
-      // TODO: Add ECDSA support
-      // ES: handlerWebKey
-    };
+    // no prototype, so that names like `constructor` are not handlers
+    this.handlers = Object.create(null);
+    this.registerHandler('HS', new NamespaceHandlerHmac());
+    this.registerHandler(['RS', 'PS', 'ES'], handlerWebKey);
+    this.registerHandler('EdDSA', new NamespaceHandlerEdDsa());
+    // allow applications to register their own handlers (listeners must be
+    // synchronous)
+    bedrock.events.emitSync('bedrock-jwt-mongodb.Store.construct', this);
+  }
+
+  /**
+   * Registers a namespace handler for one or more JWT algorithms, replacing
+   * any handler already registered for them. A handler registered for a full
+   * algorithm name (e.g. `ES256K`) takes precedence over one registered for
+   * an algorithm family, which is the first two characters of the algorithm
+   * name (e.g. `ES`).
+   *
+   * @param algorithms an algorithm name or family, or an array of them.
+   * @param handler the `NamespaceHandler` instance to use.
+   */
+  registerHandler(algorithms, handler) {
+    algorithms = [].concat(algorithms);
+    if(algorithms.length === 0 || !algorithms.every(
+      algorithm => typeof algorithm === 'string' && algorithm.length >= 2)) {
+      throw new TypeError(
+        '`algorithms` must be a string or an array of strings with at least ' +
+        'two characters.');
+    }
+    if(!(handler instanceof NamespaceHandler)) {
+      throw new TypeError('`handler` must be a `NamespaceHandler` instance.');
+    }
+    algorithms.forEach(algorithm => {
+      this.handlers[algorithm] = handler;
+    });
   }
 
+  /**
+   * Gets a provisioned namespace.
+   *
+   * @param id the ID of the namespace.
+   * @param [callback](err, namespace) called once the operation completes.
+   */
   getNamespace(id, callback) {
-    database.collections.jwtKeyStore.findOne(
-      {id: database.hash(id)}, {namespace: true}, (err, record) => {
-        if(err) {
-          logger.error('Mongo error when trying to find key state.', err);
-          return callback(new BedrockError(
-            'Failed to find key state due to internal error.',
-            'InternalError',
-            {namespace: id, httpStatusCode: 500, 'public': true}, err));
-        }
-        if(!record) {
-          return callback(new BedrockError(
-            'Key state not found.',
-            'NotFound',
-            {namespace: id, httpStatusCode: 404, 'public': true}));
-        }
-        callback(null, record.namespace);
-      });
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.getNamespace(id, callback));
+    }
+    this._getCachedNamespace({id: id}, (err, namespace) => {
+      if(err) {
+        return callback(err);
+      }
+      if(namespace) {
+        return callback(null, namespace);
+      }
+      this._loadNamespace({id: id}, callback);
+    });
   }
 
   /**
@@ -54,11 +99,32 @@ class Store {
    *   clockToleranceInSecs the acceptable clock skew.
    *   tokenTtlInSecs the JWT token TTL.
    *   [key] the key identifier or a key object with:
-   *     id the key ID.
+   *     id the key ID;
+   *     tokens are matched to the namespace by their key, so no other
+   *     namespace may use the key with the same algorithm (`DuplicateError`
+   *     otherwise).
+   *   [claimPolicy] claims to stamp on signed tokens and enforce on
+   *     verified tokens:
+   *     [issuer] the `iss` of every token.
+   *     [audiences] the allowed `aud` values.
+   *     [requiredClaims] the names of claims every token must have.
+   *     [notBeforeOffsetInSecs] sets `nbf` to `iat` plus this offset.
+   *     [maxTokenAgeInSecs] the maximum time since `iat`.
+   *   [encryption] to encrypt signed tokens as JWEs (`A256GCM`), which
+   *     `verify` decrypts; it cannot be changed once provisioned:
+   *     algorithm `dir` to encrypt with a symmetric key managed by the
+   *       namespace or `RSA-OAEP` to encrypt to a recipient key.
+   *     [key] the ID of the recipient's RSA key in `bedrock-key`, required
+   *       for `RSA-OAEP`; tokens can only be verified where its private key
+   *       is available.
+   *   [actor] the ID of the actor provisioning the namespace, for auditing.
    *
-   * @param callback(err) called once the operation completes.
+   * @param [callback](err) called once the operation completes.
    */
   provision(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.provision(options, callback));
+    }
     const self = this;
 
     // build namespace from options
@@ -79,6 +145,19 @@ class Store {
           new TypeError('`options.key` must be a string or object.'));
       }
     }
+    if('claimPolicy' in options) {
+      const err = self._checkClaimPolicy(options.claimPolicy);
+      if(err) {
+        return callback(err);
+      }
+      namespace.claimPolicy = options.claimPolicy;
+    }
+    if('encryption' in options) {
+      const err = encryption.checkOptions(options.encryption);
+      if(err) {
+        return callback(err);
+      }
+    }
 
     // get namespace handler
     let handler;
@@ -91,108 +170,1717 @@ class Store {
     }
 
     async.auto({
-      createState: handler.createState.bind(handler, {namespace: namespace}),
-      storeNamespace: ['createState', (callback, results) => {
+      createState: callback => util.invoke(
+        handler, 'createState', [{namespace: namespace}], callback),
+      createEncryption: ['createState', (callback, results) => {
+        if(!('encryption' in options)) {
+          return callback(null, null);
+        }
+        encryption.create(namespace.id, options.encryption, callback);
+      }],
+      storeNamespace: ['createEncryption', (callback, results) => {
         namespace.state = results.createState;
-        const now = Date.now();
-        const record = {
-          id: database.hash(namespace.id),
-          meta: {
-            created: now,
-            updated: now
-          },
-          namespace: namespace
-        };
-        database.collections.jwtKeyStore.insert(
-          record, database.writeOptions, (err, result) => {
-            if(err) {
-              if(database.isDuplicateError(err)) {
-                // namespace is already provisioned
-                // TODO: ensure record in database matches given options
-                return callback();
-              }
-              logger.error(
-                '[jwt-mongodb] Mongo error when trying to insert namespace.',
-                err);
-              return callback(new BedrockError(
-                'Failed to insert namespace due to internal error.',
-                'InternalError',
-                {namespace: options.id, httpStatusCode: 500, 'public': true},
-                err));
+        if(results.createEncryption) {
+          namespace.encryption = results.createEncryption;
+        }
+        storage.getAdapter().insert(namespace, (err, record) => {
+          if(err) {
+            if(err.name !== 'DuplicateError') {
+              return callback(err);
             }
-            callback(null, result.ops[0]);
+            if(_isKeyConflict(err)) {
+              return callback(_keyInUseError(namespace, err));
+            }
+            // namespace is already provisioned, ensure that it matches
+            return self._checkProvisioned(namespace, callback);
+          }
+          namespaceCache.invalidate(namespace.id);
+          audit.record('namespace.provisioned', {
+            namespace: namespace.id,
+            algorithm: namespace.algorithm,
+            kid: namespace.key,
+            actor: options.actor
           });
+          callback(null, record);
+        });
       }]
     }, callback);
   }
 
+  /**
+   * Updates the configuration of a provisioned namespace. Any options that
+   * are not given are left unchanged.
+   *
+   * @param options the options to use:
+   *   id the ID for the namespace.
+   *   [clockToleranceInSecs] the acceptable clock skew.
+   *   [tokenTtlInSecs] the JWT token TTL.
+   *   [key] the key identifier or a key object with:
+   *     id the key ID;
+   *     no other namespace may use the key with the same algorithm;
+   *     changing the key re-enables a namespace that was disabled because
+   *     its key was revoked.
+   *   [claimPolicy] the claim policy, see `provision`; `null` removes it.
+   *
+   * @param [callback](err, namespace) called once the operation completes.
+   */
+  updateNamespace(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.updateNamespace(options, callback));
+    }
+    const self = this;
+
+    const changes = {};
+    ['clockToleranceInSecs', 'tokenTtlInSecs'].forEach(field => {
+      if(field in options) {
+        changes[field] = options[field];
+      }
+    });
+    if('key' in options) {
+      if(typeof options.key === 'string') {
+        changes.key = options.key;
+      } else if(options.key && typeof options.key === 'object') {
+        changes.key = options.key.id;
+      } else {
+        return callback(
+          new TypeError('`options.key` must be a string or object.'));
+      }
+    }
+    if('claimPolicy' in options) {
+      if(options.claimPolicy !== null) {
+        const err = self._checkClaimPolicy(options.claimPolicy);
+        if(err) {
+          return callback(err);
+        }
+      }
+      changes.claimPolicy = options.claimPolicy;
+    }
+
+    async.auto({
+      getRecord: self._getRecord.bind(self, options.id),
+      updateState: ['getRecord', (callback, results) => {
+        const namespace = results.getRecord.namespace;
+        let handler;
+        try {
+          handler = self._getNamespaceHandler(namespace.algorithm);
+        } catch(e) {
+          return callback(e);
+        }
+        Object.keys(changes).forEach(field => {
+          if(changes[field] === null) {
+            delete namespace[field];
+          } else {
+            namespace[field] = changes[field];
+          }
+        });
+        if('key' in changes) {
+          // the new key is checked by the handler before it is used
+          delete namespace.disabled;
+        }
+        util.invoke(
+          handler, 'updateState', [{namespace: namespace}], callback);
+      }],
+      update: ['updateState', (callback, results) => {
+        const namespace = results.getRecord.namespace;
+        namespace.state = results.updateState;
+        // only update if the record has not changed since it was read, the
+        // HMAC handler may have concurrently rotated its key
+        storage.getAdapter().update(options.id, {
+          set: {namespace: namespace},
+          expect: {'meta.sequence': results.getRecord.meta.sequence}
+        }, (err, updated) => {
+          if(err) {
+            return callback(err);
+          }
+          namespaceCache.invalidate(options.id);
+          callback(null, updated);
+        });
+      }]
+    }, (err, results) => {
+      if(err) {
+        return callback(err);
+      }
+      if(!results.update) {
+        // another process updated the namespace; loop and try again
+        return process.nextTick(
+          self.updateNamespace.bind(self, options, callback));
+      }
+      callback(null, results.getRecord.namespace);
+    });
+  }
+
+  /**
+   * Lists provisioned namespaces in the order they were provisioned. Any
+   * namespace state (e.g. HMAC key material) is omitted.
+   *
+   * @param [options] the options to use:
+   *   [offset] the number of namespaces to skip (default: `0`).
+   *   [limit] the maximum number of namespaces to return (default: `100`).
+   * @param [callback](err, namespaces) called once the operation completes.
+   */
+  listNamespaces(options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+    if(typeof callback !== 'function') {
+      return util.promise(
+        callback => this.listNamespaces(options, callback));
+    }
+    const offset = 'offset' in options ? options.offset : 0;
+    const limit = 'limit' in options ? options.limit : 100;
+    if(!(Number.isInteger(offset) && offset >= 0)) {
+      return callback(new TypeError(
+        '`options.offset` must be a non-negative integer.'));
+    }
+    if(!(Number.isInteger(limit) && limit > 0)) {
+      return callback(new TypeError(
+        '`options.limit` must be a positive integer.'));
+    }
+    storage.getAdapter().find(
+      {}, {offset: offset, limit: limit}, (err, records) => {
+        if(err) {
+          return callback(err);
+        }
+        callback(
+          null, records.map(record => _.omit(
+            record.namespace, ['state', 'encryption.secret'])));
+      });
+  }
+
+  /**
+   * Removes a provisioned namespace. Tokens from the namespace can no
+   * longer be signed or verified once it has been removed.
+   *
+   * @param id the ID of the namespace.
+   * @param [callback](err) called once the operation completes.
+   */
+  deprovision(id, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.deprovision(id, callback));
+    }
+    storage.getAdapter().remove(id, (err, removed) => {
+      if(err) {
+        return callback(err);
+      }
+      namespaceCache.invalidate(id);
+      if(!removed) {
+        return callback(new BedrockError(
+          'Key state not found.',
+          'NotFound',
+          {namespace: id, httpStatusCode: 404, 'public': true}));
+      }
+      callback();
+    });
+  }
+
+  /**
+   * Exports a namespace's configuration and key state as a portable bundle
+   * that is encrypted with a passphrase, e.g. to move the namespace to
+   * another deployment without invalidating its outstanding tokens. Secret
+   * key material is unwrapped from this deployment's key-encryption key
+   * before it is encrypted for the bundle.
+   *
+   * @param id the ID of the namespace.
+   * @param options the options to use:
+   *   passphrase the passphrase to encrypt the bundle with.
+   *   [actor] the ID of the actor exporting the namespace, for auditing.
+   * @param [callback](err, bundle) called once the operation completes,
+   *   `bundle` is a JSON-serializable object.
+   */
+  exportNamespace(id, options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(
+        callback => this.exportNamespace(id, options, callback));
+    }
+    const self = this;
+    async.auto({
+      getRecord: self._getRecord.bind(self, id),
+      exportState: ['getRecord', (callback, results) => {
+        const namespace = results.getRecord.namespace;
+        let handler;
+        try {
+          handler = self._getNamespaceHandler(namespace.algorithm);
+        } catch(e) {
+          return callback(e);
+        }
+        util.invoke(
+          handler, 'exportState', [{namespace: namespace}], callback);
+      }],
+      exportEncryption: ['getRecord', (callback, results) => {
+        const namespace = results.getRecord.namespace;
+        if(!namespace.encryption) {
+          return callback(null, null);
+        }
+        encryption.unwrap(namespace.id, namespace.encryption, callback);
+      }],
+      encrypt: ['exportState', 'exportEncryption', (callback, results) => {
+        const namespace = _.omit(results.getRecord.namespace, 'state');
+        if(results.exportEncryption) {
+          namespace.encryption = results.exportEncryption;
+        }
+        exportBundle.encrypt({
+          namespace: namespace,
+          state: results.exportState
+        }, options.passphrase, callback);
+      }]
+    }, (err, results) => {
+      if(err) {
+        return callback(err);
+      }
+      audit.record('namespace.exported', {
+        namespace: id,
+        actor: options.actor
+      });
+      callback(null, results.encrypt);
+    });
+  }
+
+  /**
+   * Imports a namespace from a bundle produced by `exportNamespace`. Secret
+   * key material is wrapped with this deployment's key-encryption key.
+   *
+   * @param bundle the bundle (or its JSON serialization).
+   * @param options the options to use:
+   *   passphrase the passphrase the bundle was encrypted with.
+   *   [onConflict] what to do if the namespace is already provisioned:
+   *     `fail` (default) returns a `DuplicateError`; `skip` keeps the
+   *     existing namespace; `replace` replaces its configuration with the
+   *     one in the bundle and signs with the bundle's keys from then on;
+   *     namespace handlers may retain the existing keys (HMAC namespaces
+   *     do) so that tokens signed with them can still be verified. The
+   *     algorithm of a namespace cannot be replaced.
+   *   [actor] the ID of the actor importing the namespace, for auditing.
+   * @param [callback](err, result) called once the operation completes,
+   *   `result` is `created`, `replaced` or `skipped`; `err` is a
+   *   `MalformedBundle` error if the bundle is not valid and an
+   *   `InvalidPassphrase` error if it cannot be decrypted.
+   */
+  importNamespace(bundle, options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(
+        callback => this.importNamespace(bundle, options, callback));
+    }
+    const self = this;
+    const onConflict = options.onConflict || 'fail';
+    if(['fail', 'skip', 'replace'].indexOf(onConflict) === -1) {
+      return callback(new TypeError(
+        '`options.onConflict` must be "fail", "skip" or "replace".'));
+    }
+    async.auto({
+      decrypt: callback => exportBundle.decrypt(
+        bundle, options.passphrase, callback),
+      importState: ['decrypt', (callback, results) => {
+        const namespace = _.pick(results.decrypt.namespace, [
+          'id', 'algorithm', 'clockToleranceInSecs', 'tokenTtlInSecs', 'key',
+          'claimPolicy', 'encryption', 'disabled']);
+        namespace.state = results.decrypt.state;
+        if('claimPolicy' in namespace) {
+          const err = self._checkClaimPolicy(namespace.claimPolicy);
+          if(err) {
+            return callback(err);
+          }
+        }
+        let handler;
+        try {
+          handler = self._getNamespaceHandler(namespace.algorithm);
+        } catch(e) {
+          return callback(new BedrockError(
+            'Unsupported algorithm.', 'UnsupportedAlgorithm', {
+              namespace: namespace.id,
+              algorithm: namespace.algorithm,
+              httpStatusCode: 400,
+              'public': true
+            }));
+        }
+        util.invoke(handler, 'importState', [{namespace: namespace}],
+          (err, state) => {
+            if(err) {
+              return callback(err);
+            }
+            namespace.state = state;
+            if(!namespace.encryption) {
+              return callback(null, namespace);
+            }
+            encryption.import(
+              namespace.id, namespace.encryption, (err, config) => {
+                namespace.encryption = config;
+                callback(err, err ? null : namespace);
+              });
+          });
+      }],
+      store: ['importState', (callback, results) => self._storeImported(
+        results.importState, onConflict, callback)]
+    }, (err, results) => {
+      if(err) {
+        return callback(err);
+      }
+      const namespace = results.importState;
+      if(results.store !== 'skipped') {
+        audit.record('namespace.imported', {
+          namespace: namespace.id,
+          algorithm: namespace.algorithm,
+          kid: namespace.key,
+          replaced: results.store === 'replaced',
+          actor: options.actor
+        });
+      }
+      callback(null, results.store);
+    });
+  }
+
+  _storeImported(namespace, onConflict, callback) {
+    const self = this;
+    const adapter = storage.getAdapter();
+    adapter.insert(namespace, err => {
+      if(!err) {
+        namespaceCache.invalidate(namespace.id);
+        return callback(null, 'created');
+      }
+      if(err.name !== 'DuplicateError') {
+        return callback(err);
+      }
+      if(_isKeyConflict(err)) {
+        return callback(_keyInUseError(namespace, err));
+      }
+      if(onConflict === 'skip') {
+        return callback(null, 'skipped');
+      }
+      if(onConflict === 'fail') {
+        return callback(new BedrockError(
+          'Namespace is already provisioned.', 'DuplicateError',
+          {namespace: namespace.id, httpStatusCode: 409, 'public': true},
+          err));
+      }
+      self._getRecord(namespace.id, (err, record) => {
+        if(err && err.name === 'NotFound') {
+          // removed since the insert failed; loop and try again
+          return process.nextTick(self._storeImported.bind(
+            self, namespace, onConflict, callback));
+        }
+        if(err) {
+          return callback(err);
+        }
+        if(record.namespace.algorithm !== namespace.algorithm) {
+          return callback(new BedrockError(
+            'The algorithm of a provisioned namespace cannot be changed.',
+            'DuplicateError', {
+              namespace: namespace.id,
+              conflicts: ['algorithm'],
+              httpStatusCode: 409,
+              'public': true
+            }));
+        }
+        // keep the provisioned keys (as the handler sees fit) and only
+        // replace if the record has not changed since it was read
+        const handler = self._getNamespaceHandler(namespace.algorithm);
+        async.waterfall([
+          callback => util.invoke(handler, 'mergeState', [{
+            namespace: namespace,
+            existing: record.namespace
+          }], callback),
+          (state, callback) => adapter.update(namespace.id, {
+            set: {namespace: _.assign({}, namespace, {state: state})},
+            expect: {'meta.sequence': record.meta.sequence}
+          }, callback)
+        ], (err, updated) => {
+          if(err) {
+            return callback(err);
+          }
+          namespaceCache.invalidate(namespace.id);
+          if(!updated) {
+            // another process changed the namespace; loop and try again
+            return process.nextTick(self._storeImported.bind(
+              self, namespace, onConflict, callback));
+          }
+          callback(null, 'replaced');
+        });
+      });
+    });
+  }
+
   /**
    * Create a JWT.
    *
    * @param options the options to use:
    *   namespace the namespace to use for the signing operation.
    *   payload the payload to be included in the JWT.
-   * @param callback(err, token) called once the operation completes.
+   *   [jti] `true` to assign a new unique `jti` to the token, or the `jti`
+   *     to assign; tokens need a `jti` to be revocable.
+   *   [actor] the ID of the actor requesting the token, for auditing.
+   * @param [callback](err, token) called once the operation completes.
    */
   sign(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.sign(options, callback));
+    }
+    this._sign(options, (err, result) =>
+      callback(err, err ? null : result.token));
+  }
+
+  // signs (and, if the namespace is configured for it, encrypts) a token and
+  // returns it with its payload
+  _sign(options, callback) {
     const self = this;
+    let payload = options.payload;
+    if(options.jti) {
+      const jti = options.jti === true ? bedrock.util.uuid() : options.jti;
+      if(typeof jti !== 'string') {
+        return callback(
+          new TypeError('`options.jti` must be `true` or a string.'));
+      }
+      payload = _.assign({}, payload, {jti: jti});
+    }
     async.auto({
       getNamespace: self.getNamespace.bind(self, options.namespace),
       sign: ['getNamespace', (callback, results) => {
+        const namespace = results.getNamespace;
+        if(namespace.disabled) {
+          return callback(new BedrockError(
+            'Namespace is disabled.', 'NotAllowedError', {
+              namespace: namespace.id,
+              reason: namespace.disabled.reason,
+              httpStatusCode: 400,
+              'public': true
+            }));
+        }
         let handler;
         try {
-          handler = self._getNamespaceHandler(results.getNamespace.algorithm);
+          handler = self._getNamespaceHandler(namespace.algorithm);
         } catch(e) {
           return callback(e);
         }
-        handler.sign({
-          namespace: results.getNamespace,
-          payload: options.payload
-        }, callback);
+        util.invoke(handler, 'sign', [{
+          namespace: namespace,
+          payload: payload
+        }], callback);
+      }],
+      encrypt: ['sign', (callback, results) => {
+        const namespace = results.getNamespace;
+        if(!namespace.encryption) {
+          return callback(null, results.sign);
+        }
+        encryption.encrypt(results.sign, {namespace: namespace}, callback);
       }]
-    }, (err, results) => callback(err, results ? results.sign : null));
+    }, (err, results) => {
+      if(err) {
+        return callback(err);
+      }
+      const decoded = jwt.decode(results.sign, {complete: true});
+      audit.record('token.signed', {
+        namespace: options.namespace,
+        kid: decoded.header.kid,
+        jti: decoded.payload.jti,
+        subject: decoded.payload.sub,
+        actor: options.actor
+      });
+      callback(null, {token: results.encrypt, payload: decoded.payload});
+    });
   }
 
   /**
-   * Verifies a JWT.
+   * Verifies a JWT. If the token is not valid, the error is a public
+   * `BedrockError` with one of these types:
+   *
+   *   MalformedToken (400) the token could not be decoded or its claims are
+   *     not well-formed.
+   *   UnsupportedAlgorithm (400) no handler supports the token's algorithm
+   *     or it does not match the namespace's algorithm.
+   *   UnknownKey (401) the token's key is not known or has been revoked.
+   *   InvalidSignature (401) the token's signature does not verify.
+   *   TokenExpired (401) the token has expired.
+   *   TokenNotYetValid (401) the token's `nbf` is in the future.
+   *   InvalidClaims (401) the token does not satisfy the namespace's claim
+   *     policy.
+   *   TokenRevoked (401) the token has been revoked.
+   *   DecryptionFailed (401) the token is encrypted and could not be
+   *     decrypted.
+   *
+   * Encrypted tokens (JWEs) are decrypted before they are verified; a
+   * namespace that is configured for encryption only accepts encrypted
+   * tokens (`MalformedToken` otherwise).
    *
    * @param token the token to be verified.
-   * @param callback(err, tokenPayload) called once the operation completes.
+   * @param [callback](err, tokenPayload) called once the operation completes.
    */
   verify(token, callback) {
-    let header;
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.verify(token, callback));
+    }
+    this._verify(token, (err, result) =>
+      callback(err, result ? result.payload : null));
+  }
+
+  /**
+   * Verifies a JWT like `verify` and also reports which namespace the token
+   * was verified with, e.g. to accept tokens from some namespaces only.
+   *
+   * @param token the token to be verified.
+   * @param [callback](err, result) called once the operation completes,
+   *   `result` is `{namespace, payload}`, where `namespace` is the ID of the
+   *   namespace the token was verified with.
+   */
+  verifyWithNamespace(token, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.verifyWithNamespace(
+        token, callback));
+    }
+    this._verify(token, (err, result) => callback(err, result ? {
+      namespace: result.namespace.id,
+      payload: result.payload
+    } : null));
+  }
+
+  /**
+   * Introspects a JWT, as per RFC 7662, to report whether it is currently
+   * active and why not. Unlike `verify`, introspection never fails; errors
+   * are reported via the result's `reason`:
+   *
+   *   malformed, unsupportedAlgorithm, unknownNamespace, keyRotatedOut,
+   *   unknownKey, invalidSignature, decryptionFailed, expired, notYetValid,
+   *   invalidClaims, revoked or error (an unexpected error, which is
+   *   logged).
+   *
+   * As per RFC 7662, the `claims` of a token that is not active are not
+   * reported (they have not been verified) unless requested.
+   *
+   * @param token the token to be introspected.
+   * @param [options] the options to use:
+   *   [includeUnverifiedClaims] `true` to report the claims of a token that
+   *     is not active.
+   * @param [callback](err, result) called once the operation completes,
+   *   `result` is `{active, claims, namespace, kid, algorithm, expiresIn,
+   *   reason}`, where `expiresIn` is the number of seconds until the token
+   *   expires.
+   */
+  introspect(token, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.introspect(
+        token, options, callback));
+    }
+    const self = this;
+    const result = {
+      active: false,
+      claims: null,
+      namespace: null,
+      kid: null,
+      algorithm: null,
+      expiresIn: null,
+      reason: null
+    };
+    async.waterfall([
+      // encrypted tokens are reported on by their signed token
+      callback => {
+        if(!encryption.isEncrypted(token)) {
+          return callback(null, token, null);
+        }
+        // `dir` key IDs are prefixed with the namespace ID
+        const header = encryption.decodeHeader(token);
+        if(header && header.alg === 'dir') {
+          result.namespace = self._parse(header.kid).namespace;
+        }
+        self._decrypt(token, (err, decrypted) => callback(
+          err, err ? null : decrypted.token, err ? null : decrypted.header));
+      },
+      (signedToken, encryptionHeader, callback) => {
+        self._describeToken(signedToken, result);
+        self._verifySigned(signedToken, encryptionHeader, callback);
+      }
+    ], (err, verified) => {
+      if(!err) {
+        result.active = true;
+        result.claims = verified.payload;
+        result.namespace = verified.namespace.id;
+        self._describeToken(null, result);
+        return callback(null, result);
+      }
+      if(err.details && typeof err.details.namespace === 'string') {
+        result.namespace = err.details.namespace;
+      }
+      self._getInactiveReason(err, result, reason => {
+        result.reason = reason;
+        if(!options.includeUnverifiedClaims) {
+          result.claims = null;
+        }
+        callback(null, result);
+      });
+    });
+  }
+
+  /**
+   * Revokes a JWT so that it no longer verifies, even though it has not
+   * expired. Only tokens with a `jti` can be revoked.
+   *
+   * @param options the options to use:
+   *   [namespace] the ID of the namespace the token was issued from.
+   *   [jti] the `jti` of the token to revoke, required with `namespace`.
+   *   [token] the token to revoke, instead of `namespace` and `jti`.
+   * @param [callback](err) called once the operation completes.
+   */
+  revoke(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.revoke(options, callback));
+    }
+    const self = this;
+    async.auto({
+      getToken: callback => {
+        if('token' in options) {
+          return self._verify(options.token, (err, result) => {
+            if(err) {
+              return callback(err);
+            }
+            if(typeof result.payload.jti !== 'string') {
+              return callback(new BedrockError(
+                'Token does not have a `jti` and cannot be revoked.',
+                'NotAllowedError', {
+                  namespace: result.namespace.id,
+                  httpStatusCode: 400,
+                  'public': true
+                }));
+            }
+            callback(null, {
+              namespace: result.namespace.id,
+              jti: result.payload.jti,
+              expires: self._getRevocationExpires(
+                result.namespace, result.payload.exp)
+            });
+          });
+        }
+        if(typeof options.namespace !== 'string' ||
+          typeof options.jti !== 'string') {
+          return callback(new TypeError(
+            '`options.token` or `options.namespace` and `options.jti` ' +
+            'must be given.'));
+        }
+        self.getNamespace(options.namespace, (err, namespace) => {
+          if(err) {
+            return callback(err);
+          }
+          callback(null, {
+            namespace: namespace.id,
+            jti: options.jti,
+            expires: self._getRevocationExpires(namespace)
+          });
+        });
+      },
+      insert: ['getToken', (callback, results) =>
+        revocations.insert(results.getToken, callback)]
+    }, err => callback(err));
+  }
+
+  /**
+   * Issues a short-lived access JWT together with an opaque refresh token
+   * that can be exchanged for a new pair via `refresh`. The access token is
+   * always assigned a `jti` so that it can be revoked.
+   *
+   * @param options the options to use:
+   *   namespace the ID of the namespace to issue the access token from.
+   *   payload the payload of the access token, reused for the access tokens
+   *     issued by `refresh`.
+   *   [refreshTokenTtlInSecs] the refresh token TTL, defaults to
+   *     `config['jwt-mongodb'].refresh.tokenTtlInSecs`.
+   * @param [callback](err, tokenPair) called once the operation completes
+   *   with `{accessToken, refreshToken}`.
+   */
+  issueTokenPair(options, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.issueTokenPair(options, callback));
+    }
+    const ttl = 'refreshTokenTtlInSecs' in options ?
+      options.refreshTokenTtlInSecs :
+      config['jwt-mongodb'].refresh.tokenTtlInSecs;
+    if(!(Number.isInteger(ttl) && ttl > 0)) {
+      return callback(new TypeError(
+        '`options.refreshTokenTtlInSecs` must be a positive integer.'));
+    }
+    this._issueTokenPair({
+      namespace: options.namespace,
+      payload: options.payload,
+      family: bedrock.util.uuid(),
+      refreshTokenTtlInSecs: ttl
+    }, callback);
+  }
+
+  /**
+   * Exchanges a refresh token for a new access token and refresh token. Each
+   * refresh token can be exchanged only once; if a used refresh token is
+   * presented again, every refresh token and access token in its family
+   * (i.e. issued since the original `issueTokenPair` call) is revoked.
+   *
+   * @param refreshToken the refresh token.
+   * @param [callback](err, tokenPair) called once the operation completes
+   *   with `{accessToken, refreshToken}`.
+   */
+  refresh(refreshToken, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.refresh(refreshToken, callback));
+    }
+    if(typeof refreshToken !== 'string') {
+      return callback(new TypeError('`refreshToken` must be a string.'));
+    }
+    const self = this;
+    async.auto({
+      get: callback => refreshTokens.get(refreshToken, (err, record) => {
+        if(err) {
+          return callback(err);
+        }
+        if(!record || record.expires.getTime() <= Date.now()) {
+          return callback(new BedrockError(
+            'Invalid refresh token.', 'InvalidRefreshToken',
+            {httpStatusCode: 401, 'public': true}));
+        }
+        if(record.revoked) {
+          return callback(_refreshTokenRevokedError());
+        }
+        callback(null, record);
+      }),
+      markUsed: ['get', (callback, results) => refreshTokens.markUsed(
+        refreshToken, (err, marked) => {
+          if(err) {
+            return callback(err);
+          }
+          if(marked) {
+            return callback();
+          }
+          // the token's family may have been revoked since it was read
+          refreshTokens.get(refreshToken, (err, record) => {
+            if(err) {
+              return callback(err);
+            }
+            if(record && record.revoked) {
+              return callback(_refreshTokenRevokedError());
+            }
+            // the token has been replayed, so it may have been stolen
+            const family = results.get.family;
+            logger.warning(
+              '[jwt-mongodb] refresh token reused; revoking its family.',
+              {namespace: results.get.namespace, family: family});
+            self._revokeTokenFamily(family, err => callback(err || (
+              new BedrockError(
+                'Refresh token has already been used.', 'RefreshTokenReused',
+                {httpStatusCode: 401, 'public': true}))));
+          });
+        })],
+      issue: ['markUsed', (callback, results) => {
+        const record = results.get;
+        self._issueTokenPair({
+          namespace: record.namespace,
+          payload: record.payload,
+          family: record.family,
+          refreshTokenTtlInSecs: record.ttlInSecs
+        }, callback);
+      }]
+    }, (err, results) => callback(err, results ? results.issue : null));
+  }
+
+  _issueTokenPair(options, callback) {
+    const self = this;
+    async.auto({
+      getNamespace: callback => self.getNamespace(options.namespace, callback),
+      sign: callback => self._sign({
+        namespace: options.namespace,
+        payload: options.payload,
+        jti: true
+      }, callback),
+      insert: ['getNamespace', 'sign', (callback, results) => {
+        const payload = results.sign.payload;
+        const refreshToken = refreshTokens.create();
+        refreshTokens.insert({
+          token: refreshToken,
+          family: options.family,
+          namespace: options.namespace,
+          payload: options.payload,
+          jti: payload.jti,
+          accessTokenExpires: self._getRevocationExpires(
+            results.getNamespace, payload.exp),
+          ttlInSecs: options.refreshTokenTtlInSecs
+        }, err => callback(err, refreshToken));
+      }]
+    }, (err, results) => callback(err, err ? null : {
+      accessToken: results.sign.token,
+      refreshToken: results.insert
+    }));
+  }
+
+  _revokeTokenFamily(family, callback) {
+    refreshTokens.revokeFamily(family, (err, records) => {
+      if(err) {
+        return callback(err);
+      }
+      // revoke the family's access tokens that may still verify
+      const now = Date.now();
+      async.each(
+        records.filter(record => record.accessTokenExpires.getTime() > now),
+        (record, callback) => revocations.insert({
+          namespace: record.namespace,
+          jti: record.jti,
+          expires: record.accessTokenExpires
+        }, callback), callback);
+    });
+  }
+
+  _verifyDid(token, header, handler, callback) {
+    const cfg = config['jwt-mongodb'].did;
+    const did = header.kid.split('#')[0];
+    if(cfg.issuers.indexOf(did) === -1) {
+      return callback(new BedrockError(
+        'Token issuer is not trusted.', 'UnknownKey', {
+          namespace: did,
+          httpStatusCode: 401,
+          'public': true
+        }));
+    }
+    if(!(handler instanceof NamespaceHandlerWebKey)) {
+      return callback(new BedrockError(
+        'Unsupported algorithm.', 'UnsupportedAlgorithm', {
+          namespace: did,
+          algorithm: header.alg,
+          httpStatusCode: 400,
+          'public': true
+        }));
+    }
+    // tokens are verified as if issued from a namespace named after the
+    // issuer's DID; they must be issued by that DID and expire
+    const namespace = {
+      id: did,
+      algorithm: header.alg,
+      clockToleranceInSecs: cfg.clockToleranceInSecs,
+      claimPolicy: {issuer: did, requiredClaims: ['exp']}
+    };
+    if(cfg.audiences) {
+      namespace.claimPolicy.audiences = cfg.audiences;
+    }
+    const verifyWith = (options, callback) => didResolver.getKey(
+      header.kid, options, (err, key) => {
+        if(err && err.name === 'NotFound') {
+          return callback(new BedrockError(
+            'Invalid key identifier in token.', 'UnknownKey', {
+              namespace: did,
+              httpStatusCode: 401,
+              'public': true
+            }, err));
+        }
+        if(err) {
+          return callback(err);
+        }
+        // a DID document must not be able to claim another DID's key
+        if(key.revoked || ('owner' in key && key.owner !== did)) {
+          return callback(new BedrockError(
+            'Invalid key identifier in token.', 'UnknownKey', {
+              namespace: did,
+              httpStatusCode: 401,
+              'public': true
+            }));
+        }
+        const keyTypeError = handler._checkKeyType(
+          header.alg, key.publicKeyPem);
+        if(keyTypeError) {
+          return callback(new BedrockError(
+            keyTypeError.message, 'UnsupportedAlgorithm', {
+              namespace: did,
+              algorithm: header.alg,
+              httpStatusCode: 400,
+              'public': true
+            }));
+        }
+        handler._verifyWithKey(
+          token, key.publicKeyPem, namespace, (err, payload) => callback(
+            err, err ? null : {namespace: namespace, payload: payload}));
+      });
+    verifyWith({}, (err, result) => {
+      // the issuer may have added or replaced the key since its DID was
+      // resolved, which is retried at most once per refresh interval
+      if(err && (err.name === 'InvalidSignature' ||
+        err.name === 'UnknownKey') && didResolver.canRefresh(header.kid)) {
+        return verifyWith({fresh: true}, callback);
+      }
+      callback(err, result);
+    });
+  }
+
+  _getRevocationExpires(namespace, exp) {
+    if(typeof exp !== 'number') {
+      // the token's expiration is unknown; use the latest possible one
+      exp = Math.floor(Date.now() / 1000) + namespace.tokenTtlInSecs;
+    }
+    return new Date((exp + namespace.clockToleranceInSecs) * 1000);
+  }
+
+  _verify(token, callback) {
+    // signed tokens may be wrapped in an encrypted token (JWE)
+    if(!encryption.isEncrypted(token)) {
+      return this._verifySigned(token, null, callback);
+    }
+    this._decrypt(token, (err, decrypted) => {
+      if(err) {
+        audit.record('token.verificationFailed', {
+          namespace: err.details ? err.details.namespace : undefined,
+          error: err
+        });
+        return callback(err);
+      }
+      this._verifySigned(decrypted.token, decrypted.header, callback);
+    });
+  }
+
+  // decrypts an encrypted token and returns the signed token with the
+  // encrypted token's header
+  _decrypt(token, callback) {
+    const header = encryption.decodeHeader(token);
+    if(!header) {
+      return callback(new BedrockError(
+        'Invalid token.', 'MalformedToken',
+        {httpStatusCode: 400, 'public': true}));
+    }
+    const done = (err, signedToken) => callback(
+      err, err ? null : {token: signedToken, header: header});
+    if(header.alg === 'RSA-OAEP') {
+      // only decrypt with keys that a namespace encrypts to, so that tokens
+      // cannot use any other key as a decryption oracle; any of the
+      // namespaces that encrypt to the key may be found, the namespace of
+      // the signed token is checked once it has been verified
+      return storage.getAdapter().find({
+        'encryption.algorithm': 'RSA-OAEP',
+        'encryption.key': header.kid
+      }, {limit: 1}, (err, records) => {
+        if(err) {
+          return callback(err);
+        }
+        if(records.length === 0) {
+          return callback(new BedrockError(
+            'Invalid key identifier in token.', 'UnknownKey', {
+              key: header.kid,
+              httpStatusCode: 401,
+              'public': true
+            }));
+        }
+        encryption.decrypt(token, {namespace: records[0].namespace}, done);
+      });
+    }
+    // `dir` key IDs are prefixed with the namespace ID
+    const parsedKid = this._parse(header.kid);
+    this.getNamespace(parsedKid.namespace, (err, namespace) => {
+      if(err && err.name !== 'NotFound') {
+        return callback(err);
+      }
+      const config = namespace ? namespace.encryption : null;
+      if(!(config && config.algorithm === 'dir' &&
+        config.secret.id === parsedKid.keyId)) {
+        return callback(new BedrockError(
+          'Invalid key identifier in token.', 'UnknownKey', {
+            namespace: parsedKid.namespace,
+            httpStatusCode: 401,
+            'public': true
+          }, err));
+      }
+      encryption.decrypt(token, {namespace: namespace}, done);
+    });
+  }
+
+  // verifies a signed token, `encryptionHeader` is the header of the
+  // encrypted token it was wrapped in, if any
+  _verifySigned(token, encryptionHeader, callback) {
     let decodedToken;
     try {
       decodedToken = jwt.decode(token, {complete: true});
-      header = decodedToken.header;
-    } catch(err) {
-      return callback(err);
+    } catch(e) {
+      decodedToken = null;
     }
 
-    if(!header.alg.startsWith('HS')) {
-      return callback(null, new Error('Unsupported algorithm.'));
+    // record the outcome of every verification
+    const done = callback;
+    callback = (err, result) => {
+      const kid = decodedToken ? decodedToken.header.kid : undefined;
+      if(err) {
+        audit.record('token.verificationFailed', {
+          namespace: err.details ? err.details.namespace : undefined,
+          kid: typeof kid === 'string' ? kid : undefined,
+          error: err
+        });
+      } else {
+        audit.record('token.verified', {
+          namespace: result.namespace.id,
+          kid: kid,
+          jti: result.payload.jti,
+          subject: result.payload.sub
+        });
+      }
+      done(err, result);
+    };
+    if(!decodedToken || typeof decodedToken.header.alg !== 'string' ||
+      typeof decodedToken.header.kid !== 'string') {
+      return callback(new BedrockError(
+        'Invalid token.', 'MalformedToken',
+        {httpStatusCode: 400, 'public': true}));
     }
+    const header = decodedToken.header;
 
     const self = this;
-    const parsedKid = self._parse(header.kid);
+    let handler;
+    try {
+      handler = self._getNamespaceHandler(header.alg);
+    } catch(e) {
+      return callback(new BedrockError(
+        'Unsupported algorithm.', 'UnsupportedAlgorithm',
+        {algorithm: header.alg, httpStatusCode: 400, 'public': true}));
+    }
+
+    // HMAC key IDs are prefixed with the namespace ID, all other key IDs
+    // identify the key that was used to sign
+    let parsedKid;
+    if(header.alg.startsWith('HS')) {
+      parsedKid = self._parse(header.kid);
+    } else {
+      parsedKid = {namespace: null, keyId: header.kid};
+    }
+
+    const lookup = parsedKid.namespace !== null ?
+      {id: parsedKid.namespace} :
+      {key: parsedKid.keyId, algorithm: header.alg};
+    const verifyWith = (namespace, callback) => {
+      if(namespace.algorithm !== header.alg) {
+        return callback(new BedrockError(
+          'Token algorithm does not match namespace algorithm.',
+          'UnsupportedAlgorithm', {
+            namespace: namespace.id,
+            algorithm: header.alg,
+            httpStatusCode: 400,
+            'public': true
+          }));
+      }
+      util.invoke(handler, 'verify', [token, {
+        namespace: namespace,
+        keyId: parsedKid.keyId
+      }], (err, payload) => callback(
+        err, err ? null : {namespace: namespace, payload: payload}));
+    };
+
+    // a token whose key identifies no namespace is signed by an unknown key
+    const load = callback => self._loadNamespace(lookup, (err, namespace) => {
+      if(err && err.name === 'NotFound') {
+        return callback(new BedrockError(
+          'Invalid key identifier in token.', 'UnknownKey', {
+            namespace: lookup.id,
+            httpStatusCode: 401,
+            'public': true
+          }, err));
+      }
+      callback(err, namespace);
+    });
+
+    async.auto({
+      verify: callback => {
+        // externally issued tokens identify their key by a DID key URL
+        if(!header.alg.startsWith('HS') && header.kid.startsWith('did:')) {
+          return self._verifyDid(token, header, handler, callback);
+        }
+        self._getCachedNamespace(lookup, (err, cached) => {
+          if(err) {
+            return callback(err);
+          }
+          if(!cached) {
+            return async.waterfall([load, verifyWith], callback);
+          }
+          verifyWith(cached, (err, result) => {
+            // only an unknown key can be caused by a stale cached namespace
+            // (e.g. one changed since its sequence was checked), any other
+            // error is final
+            if(!err || err.name !== 'UnknownKey') {
+              return callback(err, result);
+            }
+            namespaceCache.invalidate(cached.id);
+            async.waterfall([load, verifyWith], callback);
+          });
+        });
+      },
+      checkEncryption: ['verify', (callback, results) => {
+        const namespace = results.verify.namespace;
+        const expected = namespace.encryption;
+        if(!expected && !encryptionHeader) {
+          return callback();
+        }
+        if(expected && encryptionHeader &&
+          encryptionHeader.alg === expected.algorithm &&
+          encryptionHeader.kid === (expected.algorithm === 'dir' ?
+            namespace.id + ':' + expected.secret.id : expected.key)) {
+          return callback();
+        }
+        callback(new BedrockError(
+          expected && !encryptionHeader ?
+            'Token is not encrypted as required by namespace.' :
+            'Token encryption does not match namespace.',
+          'MalformedToken', {
+            namespace: namespace.id,
+            httpStatusCode: 400,
+            'public': true
+          }));
+      }],
+      checkRevocation: ['verify', (callback, results) => {
+        const namespace = results.verify.namespace;
+        const payload = results.verify.payload;
+        if(typeof payload.jti !== 'string') {
+          return callback();
+        }
+        revocations.isRevoked({
+          namespace: namespace.id,
+          jti: payload.jti
+        }, (err, revoked) => {
+          if(err) {
+            return callback(err);
+          }
+          if(revoked) {
+            return callback(new BedrockError(
+              'Token has been revoked.', 'TokenRevoked', {
+                namespace: namespace.id,
+                jti: payload.jti,
+                httpStatusCode: 401,
+                'public': true
+              }));
+          }
+          callback();
+        });
+      }]
+    }, (err, results) => callback(err, err ? null : results.verify));
+  }
 
+  /**
+   * Gets a JSON Web Key Set with the public keys that can currently verify
+   * the given namespace's tokens. Namespaces that use symmetric (`HS*`)
+   * algorithms cannot be exported.
+   *
+   * @param namespaceId the ID of the namespace.
+   * @param [callback](err, jwks) called once the operation completes.
+   */
+  getJwks(namespaceId, callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.getJwks(namespaceId, callback));
+    }
+    const self = this;
     async.auto({
-      getNamespace: callback =>
-        self.getNamespace(parsedKid.namespace, callback),
-      verify: ['getNamespace', (callback, results) => {
+      getNamespace: self.getNamespace.bind(self, namespaceId),
+      getJwks: ['getNamespace', (callback, results) => {
+        const namespace = results.getNamespace;
+        let handler;
+        try {
+          handler = self._getNamespaceHandler(namespace.algorithm);
+        } catch(e) {
+          return callback(e);
+        }
+        if(namespace.algorithm.startsWith('HS')) {
+          return callback(new BedrockError(
+            'Symmetric namespace keys cannot be published.',
+            'NotAllowedError', {
+              namespace: namespaceId,
+              httpStatusCode: 400,
+              'public': true
+            }));
+        }
+        util.invoke(handler, 'getJwks', [{namespace: namespace}], callback);
+      }]
+    }, (err, results) => callback(
+      err, results ? {keys: results.getJwks} : null));
+  }
+
+  /**
+   * Gets a JSON Web Key Set with the public keys that can currently verify
+   * the tokens of every asymmetric namespace. Namespaces whose keys cannot
+   * be loaded are logged and skipped. A key that is shared by namespaces
+   * with different algorithms is listed once, without an `alg`.
+   *
+   * @param [callback](err, jwks) called once the operation completes.
+   */
+  getAllJwks(callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.getAllJwks(callback));
+    }
+    const self = this;
+    async.auto({
+      find: callback => storage.getAdapter().find({}, {}, (err, records) => {
+        if(err) {
+          return callback(err);
+        }
+        callback(null, records
+          .filter(record => !/^HS/.test(record.namespace.algorithm))
+          .map(record => _.omit(
+            record.namespace, ['state', 'encryption.secret'])));
+      }),
+      getJwks: ['find', (callback, results) => async.mapSeries(
+        results.find, (namespace, callback) => {
+          let handler;
+          try {
+            handler = self._getNamespaceHandler(namespace.algorithm);
+          } catch(e) {
+            return callback(null, []);
+          }
+          util.invoke(handler, 'getJwks', [{namespace: namespace}],
+            (err, keys) => {
+              if(err) {
+                logger.warning(
+                  '[jwt-mongodb] could not get public keys for namespace.',
+                  {namespace: namespace.id, error: err});
+                return callback(null, []);
+              }
+              callback(null, keys);
+            });
+        }, callback)]
+    }, (err, results) => {
+      if(err) {
+        return callback(err);
+      }
+      // namespaces may share a key; only list each key once, without an
+      // `alg` if the namespaces use it with different algorithms (e.g.
+      // `RS256` and `PS256`) so that verifiers accept it for all of them
+      const keys = [];
+      const seen = {};
+      results.getJwks.forEach(namespaceKeys => namespaceKeys.forEach(key => {
+        const listed = seen[key.kid];
+        if(!listed) {
+          seen[key.kid] = key = _.assign({}, key);
+          return keys.push(key);
+        }
+        if(listed.alg !== key.alg) {
+          delete listed.alg;
+        }
+      }));
+      callback(null, {keys: keys});
+    });
+  }
+
+  /**
+   * Replaces the current signing key of a namespace immediately, e.g. after
+   * a suspected compromise. Only namespaces whose keys are managed by this
+   * module (`HS*`) can be rotated.
+   *
+   * @param namespaceId the ID of the namespace.
+   * @param [options] the options to use:
+   *   [revokePrevious] `true` to discard the current and all previous keys
+   *     so that no token signed before the rotation can be verified.
+   *   [actor] the ID of the actor rotating the key, for auditing.
+   * @param [callback](err) called once the operation completes.
+   */
+  rotateKey(namespaceId, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+    if(typeof callback !== 'function') {
+      return util.promise(
+        callback => this.rotateKey(namespaceId, options, callback));
+    }
+    const self = this;
+    async.auto({
+      getNamespace: self.getNamespace.bind(self, namespaceId),
+      rotate: ['getNamespace', (callback, results) => {
         let handler;
         try {
           handler = self._getNamespaceHandler(results.getNamespace.algorithm);
         } catch(e) {
           return callback(e);
         }
-        handler.verify(
-          token, {
-            namespace: results.getNamespace,
-            keyId: parsedKid.keyId
-          }, callback);
+        util.invoke(handler, 'rotateKey', [{
+          namespace: results.getNamespace,
+          revokePrevious: !!options.revokePrevious,
+          actor: options.actor
+        }], callback);
+      }]
+    }, err => callback(err));
+  }
+
+  /**
+   * Wraps the secret key material of every namespace with the current
+   * key-encryption key. Run this after the key-encryption key has been
+   * rotated; the previous key-encryption key must remain available until
+   * this completes.
+   *
+   * @param [callback](err, count) called once the operation completes with
+   *   the number of namespaces that were rewrapped.
+   */
+  rewrapKeys(callback) {
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.rewrapKeys(callback));
+    }
+    const self = this;
+    async.auto({
+      find: callback => storage.getAdapter().find({}, {}, (err, records) => {
+        if(err) {
+          return callback(err);
+        }
+        callback(null, records
+          .filter(record => /^HS/.test(record.namespace.algorithm) ||
+            _.has(record.namespace, 'encryption.secret'))
+          .map(record => record.namespace.id));
+      }),
+      rewrap: ['find', (callback, results) => async.eachSeries(
+        results.find, self._rewrapNamespace.bind(self), callback)]
+    }, (err, results) => callback(err, err ? null : results.find.length));
+  }
+
+  _rewrapNamespace(id, callback) {
+    const self = this;
+    async.auto({
+      getRecord: self._getRecord.bind(self, id),
+      rewrap: ['getRecord', (callback, results) => {
+        const namespace = results.getRecord.namespace;
+        if(!/^HS/.test(namespace.algorithm)) {
+          return callback(null, namespace.state);
+        }
+        let handler;
+        try {
+          handler = self._getNamespaceHandler(namespace.algorithm);
+        } catch(e) {
+          return callback(e);
+        }
+        util.invoke(
+          handler, 'rewrapState', [{namespace: namespace}], callback);
+      }],
+      rewrapEncryption: ['getRecord', (callback, results) => {
+        const namespace = results.getRecord.namespace;
+        if(!namespace.encryption) {
+          return callback(null, null);
+        }
+        encryption.rewrap(namespace.id, namespace.encryption, callback);
+      }],
+      update: ['rewrap', 'rewrapEncryption', (callback, results) => {
+        const set = {'namespace.state': results.rewrap};
+        if(results.rewrapEncryption) {
+          set['namespace.encryption'] = results.rewrapEncryption;
+        }
+        // only update if the key state has not changed since it was read
+        storage.getAdapter().update(id, {
+          set: set,
+          expect: {'meta.sequence': results.getRecord.meta.sequence}
+        }, (err, updated) => {
+          if(err) {
+            return callback(err);
+          }
+          namespaceCache.invalidate(id);
+          callback(null, updated);
+        });
       }]
-    }, (err, results) => callback(err, results ? results.verify : null));
+    }, (err, results) => {
+      if(err) {
+        return callback(err);
+      }
+      if(!results.update) {
+        // another process updated the key state; loop and try again
+        return process.nextTick(self._rewrapNamespace.bind(self, id, callback));
+      }
+      callback();
+    });
+  }
+
+  /**
+   * Performs scheduled maintenance of every namespace's keys: `HS*` keys are
+   * rotated before they expire and namespaces whose `bedrock-key` key has
+   * been revoked are disabled so that they no longer sign tokens. Errors for
+   * individual namespaces are logged and skipped.
+   *
+   * @param [options] the options to use:
+   *   [intervalInSecs] the time until maintenance is next performed,
+   *     defaults to `config['jwt-mongodb'].worker.intervalInSecs`.
+   * @param [callback](err, result) called once the operation completes with
+   *   the numbers of namespaces whose next key was `published`, whose key
+   *   was `rotated`, that were `disabled` and that `failed`.
+   */
+  maintainKeys(options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+    if(typeof callback !== 'function') {
+      return util.promise(callback => this.maintainKeys(options, callback));
+    }
+    const self = this;
+    const intervalInSecs = 'intervalInSecs' in options ?
+      options.intervalInSecs : config['jwt-mongodb'].worker.intervalInSecs;
+    const counts = {published: 0, rotated: 0, disabled: 0, failed: 0};
+    async.auto({
+      find: callback => storage.getAdapter().find({}, {}, (err, records) => {
+        if(err) {
+          return callback(err);
+        }
+        callback(null, records.map(record => record.namespace));
+      }),
+      maintain: ['find', (callback, results) => async.eachSeries(
+        results.find, (namespace, callback) => {
+          let handler;
+          try {
+            handler = self._getNamespaceHandler(namespace.algorithm);
+          } catch(e) {
+            return callback();
+          }
+          async.waterfall([
+            callback => util.invoke(handler, 'maintainKeys', [{
+              namespace: namespace,
+              intervalInSecs: intervalInSecs
+            }], callback),
+            (result, callback) => {
+              result = result || {};
+              counts.published += result.published ? 1 : 0;
+              counts.rotated += result.rotated ? 1 : 0;
+              if(!result.keyRevoked || namespace.disabled) {
+                return callback();
+              }
+              self._disable(namespace, 'keyRevoked', (err, disabled) => {
+                counts.disabled += disabled ? 1 : 0;
+                callback(err);
+              });
+            }
+          ], err => {
+            if(err) {
+              logger.warning(
+                '[jwt-mongodb] could not maintain keys of namespace.',
+                {namespace: namespace.id, error: err});
+              counts.failed++;
+            }
+            callback();
+          });
+        }, callback)]
+    }, err => callback(err, err ? null : counts));
+  }
+
+  _disable(namespace, reason, callback) {
+    storage.getAdapter().update(namespace.id, {
+      set: {'namespace.disabled': {reason: reason, date: Date.now()}},
+      expect: {'namespace.disabled': undefined}
+    }, (err, disabled) => {
+      if(err) {
+        return callback(err);
+      }
+      namespaceCache.invalidate(namespace.id);
+      if(disabled) {
+        logger.warning('[jwt-mongodb] namespace disabled.',
+          {namespace: namespace.id, reason: reason});
+        audit.record('namespace.disabled', {
+          namespace: namespace.id,
+          kid: namespace.key,
+          reason: reason
+        });
+      }
+      callback(null, disabled);
+    });
+  }
+
+  _getLookupKey(lookup) {
+    if('id' in lookup) {
+      return 'id:' + lookup.id;
+    }
+    return 'key:' + lookup.algorithm + ':' + lookup.key;
+  }
+
+  // gets a namespace by `id` or by `key` and `algorithm` from the cache;
+  // once the cache's sync interval has passed, the entry is only used if its
+  // record has not been changed (or removed) by any node since it was
+  // cached, which is detected by reading only the record's `meta.sequence`;
+  // calls back with `null` if the namespace must be loaded
+  _getCachedNamespace(lookup, callback) {
+    const cached = namespaceCache.get(this._getLookupKey(lookup));
+    if(!cached) {
+      return callback(null, null);
+    }
+    if(!cached.checkDue) {
+      return callback(null, cached.namespace);
+    }
+    const id = cached.namespace.id;
+    storage.getAdapter().getSequence(id, (err, sequence) => {
+      if(err) {
+        return callback(err);
+      }
+      if(sequence !== cached.sequence) {
+        namespaceCache.invalidate(id);
+        return callback(null, null);
+      }
+      namespaceCache.checked(id);
+      callback(null, cached.namespace);
+    });
+  }
+
+  // loads a namespace by `id` or by `key` and `algorithm` from storage and
+  // caches it
+  _loadNamespace(lookup, callback) {
+    const done = (err, record) => {
+      if(err) {
+        return callback(err);
+      }
+      namespaceCache.set(
+        this._getLookupKey(lookup), record.namespace, record.meta.sequence);
+      callback(null, record.namespace);
+    };
+    if('id' in lookup) {
+      return this._getRecord(lookup.id, done);
+    }
+    this._getRecordByKey(lookup, done);
+  }
+
+  _getRecord(id, callback) {
+    storage.getAdapter().get(id, (err, record) => {
+      if(err) {
+        return callback(err);
+      }
+      if(!record) {
+        return callback(new BedrockError(
+          'Key state not found.',
+          'NotFound',
+          {namespace: id, httpStatusCode: 404, 'public': true}));
+      }
+      callback(null, record);
+    });
+  }
+
+  _checkProvisioned(namespace, callback) {
+    this.getNamespace(namespace.id, (err, existing) => {
+      if(err) {
+        return callback(err);
+      }
+      const conflicts = ['algorithm', 'clockToleranceInSecs', 'tokenTtlInSecs',
+        'key', 'claimPolicy'].filter(
+        field => !_.isEqual(existing[field], namespace[field]));
+      // the encryption key of a `dir` namespace is created when provisioning
+      const withoutSecret = encryption => _.omit(encryption, 'secret');
+      if(!_.isEqual(withoutSecret(existing.encryption),
+        withoutSecret(namespace.encryption))) {
+        conflicts.push('encryption');
+      }
+      if(conflicts.length > 0) {
+        return callback(new BedrockError(
+          'Namespace is already provisioned with different options.',
+          'DuplicateError', {
+            namespace: namespace.id,
+            conflicts: conflicts,
+            httpStatusCode: 409,
+            'public': true
+          }));
+      }
+      callback();
+    });
+  }
+
+  _checkClaimPolicy(policy) {
+    if(!policy || typeof policy !== 'object') {
+      return new TypeError('`options.claimPolicy` must be an object.');
+    }
+    if('issuer' in policy && typeof policy.issuer !== 'string') {
+      return new TypeError('`options.claimPolicy.issuer` must be a string.');
+    }
+    if('audiences' in policy && !(Array.isArray(policy.audiences) &&
+      policy.audiences.length > 0 &&
+      policy.audiences.every(aud => typeof aud === 'string'))) {
+      return new TypeError(
+        '`options.claimPolicy.audiences` must be a non-empty array of ' +
+        'strings.');
+    }
+    if('requiredClaims' in policy && !(Array.isArray(policy.requiredClaims) &&
+      policy.requiredClaims.every(claim => typeof claim === 'string'))) {
+      return new TypeError(
+        '`options.claimPolicy.requiredClaims` must be an array of strings.');
+    }
+    if('notBeforeOffsetInSecs' in policy &&
+      !Number.isInteger(policy.notBeforeOffsetInSecs)) {
+      return new TypeError(
+        '`options.claimPolicy.notBeforeOffsetInSecs` must be an integer.');
+    }
+    if('maxTokenAgeInSecs' in policy &&
+      !(Number.isInteger(policy.maxTokenAgeInSecs) &&
+      policy.maxTokenAgeInSecs > 0)) {
+      return new TypeError(
+        '`options.claimPolicy.maxTokenAgeInSecs` must be a positive integer.');
+    }
+    return null;
+  }
+
+  // sets the introspection `result` fields that can be read from a token
+  // without verifying it; `token` may be `null` to only update `expiresIn`
+  // from `result.claims`
+  _describeToken(token, result) {
+    if(token) {
+      let decodedToken;
+      try {
+        decodedToken = jwt.decode(token, {complete: true});
+      } catch(e) {
+        decodedToken = null;
+      }
+      if(!decodedToken) {
+        return;
+      }
+      const header = decodedToken.header;
+      result.kid = typeof header.kid === 'string' ? header.kid : null;
+      result.algorithm = typeof header.alg === 'string' ? header.alg : null;
+      if(_.isPlainObject(decodedToken.payload)) {
+        result.claims = decodedToken.payload;
+      }
+      if(result.kid && result.algorithm &&
+        result.algorithm.startsWith('HS')) {
+        result.namespace = this._parse(result.kid).namespace;
+      }
+    }
+    const exp = result.claims ? result.claims.exp : undefined;
+    result.expiresIn = typeof exp === 'number' ?
+      exp - Math.floor(Date.now() / 1000) : null;
+  }
+
+  // maps a verification error to an introspection `reason`
+  _getInactiveReason(err, result, callback) {
+    const reasons = {
+      MalformedToken: 'malformed',
+      UnsupportedAlgorithm: 'unsupportedAlgorithm',
+      InvalidSignature: 'invalidSignature',
+      DecryptionFailed: 'decryptionFailed',
+      TokenExpired: 'expired',
+      TokenNotYetValid: 'notYetValid',
+      InvalidClaims: 'invalidClaims',
+      TokenRevoked: 'revoked'
+    };
+    if(err.name in reasons) {
+      return callback(reasons[err.name]);
+    }
+    if(err.name !== 'UnknownKey') {
+      logger.error('[jwt-mongodb] token introspection failed.', err);
+      return callback('error');
+    }
+    if(err.cause && err.cause.name === 'NotFound' &&
+      typeof err.details.namespace === 'string') {
+      return callback('unknownNamespace');
+    }
+    // HMAC namespaces remember the IDs of the keys they rotated out until
+    // the tokens signed with them expire
+    if(!(result.namespace && result.algorithm &&
+      result.algorithm.startsWith('HS'))) {
+      return callback('unknownKey');
+    }
+    const keyId = this._parse(result.kid).keyId;
+    this.getNamespace(result.namespace, (err, namespace) => {
+      const retiredKeys = (!err && namespace.state &&
+        namespace.state.retiredKeys) || [];
+      callback(retiredKeys.some(key => key.id === keyId) ?
+        'keyRotatedOut' : 'unknownKey');
+    });
+  }
+
+  _getRecordByKey(options, callback) {
+    storage.getAdapter().find({
+      key: options.key,
+      algorithm: options.algorithm
+    }, {limit: 1}, (err, records) => {
+      if(err) {
+        return callback(err);
+      }
+      const record = records[0];
+      if(!record) {
+        return callback(new BedrockError(
+          'Key state not found.',
+          'NotFound',
+          {key: options.key, httpStatusCode: 404, 'public': true}));
+      }
+      callback(null, record);
+    });
   }
 
   _parse(kid) {
@@ -204,7 +1892,13 @@ class Store {
   }
 
   _getNamespaceHandler(algorithm) {
-    const handler = this.handlers[algorithm.substr(0, 2)];
+    if(typeof algorithm !== 'string') {
+      throw new Error('Unsupported algorithm.');
+    }
+    // prefer a handler registered for the full algorithm name (e.g. `EdDSA`)
+    // over one registered for an algorithm family (e.g. `HS`)
+    const handler = this.handlers[algorithm] ||
+      this.handlers[algorithm.substr(0, 2)];
     if(!handler) {
       throw new Error('Unsupported algorithm.');
     }
@@ -212,4 +1906,31 @@ class Store {
   }
 }
 
+function _refreshTokenRevokedError() {
+  return new BedrockError(
+    'Refresh token has been revoked.', 'TokenRevoked',
+    {httpStatusCode: 401, 'public': true});
+}
+
+// checks whether a storage adapter rejected a namespace because another
+// namespace uses the same key and algorithm
+function _isKeyConflict(err) {
+  return !!(err.details && Array.isArray(err.details.conflicts) &&
+    err.details.conflicts.indexOf('key') !== -1);
+}
+
+// unlike a conflict with a provisioned namespace of the same ID, a key that
+// is in use cannot be resolved by updating the namespace
+function _keyInUseError(namespace, cause) {
+  return new BedrockError(
+    'The key is already used by another namespace with the same algorithm.',
+    'DuplicateError', {
+      namespace: namespace.id,
+      key: namespace.key,
+      algorithm: namespace.algorithm,
+      httpStatusCode: 409,
+      'public': true
+    }, cause);
+}
+
 module.exports = Store;
@@ -0,0 +1,50 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const api = {};
+module.exports = api;
+
+/**
+ * Runs a callback-style operation and returns a promise for its result. Used
+ * by public methods to return a promise when no callback is given.
+ *
+ * @param fn(callback) the operation to run.
+ *
+ * @return a Promise that resolves to the operation's result.
+ */
+api.promise = fn => new Promise((resolve, reject) => fn((err, result) => {
+  if(err) {
+    return reject(err);
+  }
+  resolve(result);
+}));
+
+/**
+ * Calls a method that either takes a callback or returns a promise (e.g. an
+ * `async` method of a custom `NamespaceHandler` subclass) and passes its
+ * result to the given callback.
+ *
+ * @param object the object to call the method on.
+ * @param method the name of the method.
+ * @param args the arguments to call the method with (without a callback).
+ * @param callback(err, result) called once the method completes.
+ */
+api.invoke = (object, method, args, callback) => {
+  let called = false;
+  const done = (err, result) => {
+    if(!called) {
+      called = true;
+      callback(err, result);
+    }
+  };
+  const returned = object[method].apply(object, args.concat(done));
+  if(returned && typeof returned.then === 'function') {
+    // call back outside of the promise chain so that errors thrown by the
+    // callback are not swallowed
+    returned.then(
+      result => process.nextTick(() => done(null, result)),
+      err => process.nextTick(() => done(err)));
+  }
+};
@@ -0,0 +1,48 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const bedrock = require('bedrock');
+const Store = require('./store');
+const config = bedrock.config;
+
+const logger = bedrock.loggers.get('app');
+
+let timer = null;
+let stopped = false;
+
+// the worker runs on every node; concurrent runs are safe because every
+// key change is conditional on the state it was based on
+bedrock.events.on('bedrock.ready', () => {
+  const cfg = config['jwt-mongodb'].worker;
+  if(!cfg.enable) {
+    return;
+  }
+  const store = new Store();
+  const run = () => {
+    timer = null;
+    store.maintainKeys({intervalInSecs: cfg.intervalInSecs}, (err, result) => {
+      if(err) {
+        logger.error('[jwt-mongodb] key maintenance failed.', err);
+      } else {
+        logger.verbose('[jwt-mongodb] key maintenance completed.', result);
+      }
+      if(stopped) {
+        return;
+      }
+      timer = setTimeout(run, cfg.intervalInSecs * 1000);
+      // do not keep the process alive just to maintain keys
+      timer.unref();
+    });
+  };
+  run();
+});
+
+bedrock.events.on('bedrock.stop', () => {
+  stopped = true;
+  if(timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+});
@@ -1,8 +1,2316 @@
 /*!
  * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
  */
+const async = require('async');
+const bedrock = require('bedrock');
 const brJwt = require('bedrock-jwt-mongodb');
+const crypto = require('crypto');
+const helpers = require('./helpers');
+const jwt = require('jsonwebtoken');
 
 describe('API', () => {
-  it('should work properly');
+  let store;
+  before(() => {
+    store = new brJwt.Store();
+  });
+
+  // the namespaces are configured in `test.config.js`
+  describe('startup provisioning', () => {
+    it('should provision configured namespaces', done => {
+      store.getNamespace('test-startup', (err, namespace) => {
+        should.not.exist(err);
+        namespace.algorithm.should.equal('HS256');
+        namespace.clockToleranceInSecs.should.equal(60);
+        namespace.tokenTtlInSecs.should.equal(3600);
+        done();
+      });
+    });
+    it('should only update the configured options', done => {
+      store.getNamespace('test-startup-existing', (err, namespace) => {
+        should.not.exist(err);
+        namespace.tokenTtlInSecs.should.equal(7200);
+        // not configured, left unchanged
+        namespace.clockToleranceInSecs.should.equal(30);
+        // no longer configured, removed
+        should.not.exist(namespace.claimPolicy);
+        done();
+      });
+    });
+  });
+
+  describe('HS256 namespace', () => {
+    const namespace = {
+      id: 'test-hs256',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600
+    };
+    before(done => store.provision(namespace, done));
+
+    it('should get the provisioned namespace', done => {
+      store.getNamespace(namespace.id, (err, result) => {
+        should.not.exist(err);
+        result.id.should.equal(namespace.id);
+        result.algorithm.should.equal('HS256');
+        done();
+      });
+    });
+    it('should accept an identical provision', done => {
+      store.provision(namespace, err => {
+        should.not.exist(err);
+        done();
+      });
+    });
+    it('should reject a conflicting provision', done => {
+      store.provision(
+        Object.assign({}, namespace, {tokenTtlInSecs: 60}), err => {
+          should.exist(err);
+          err.name.should.equal('DuplicateError');
+          err.details.conflicts.should.deep.equal(['tokenTtlInSecs']);
+          done();
+        });
+    });
+    it('should sign and verify a token', done => {
+      async.auto({
+        sign: callback => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'}
+        }, callback),
+        verify: ['sign', (callback, results) =>
+          store.verify(results.sign, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.verify.sub.should.equal('urn:test:subject');
+        done();
+      });
+    });
+    it('should verify a token with its namespace', done => {
+      async.auto({
+        sign: callback => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'}
+        }, callback),
+        verify: ['sign', (callback, results) =>
+          store.verifyWithNamespace(results.sign, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.verify.namespace.should.equal(namespace.id);
+        results.verify.payload.sub.should.equal('urn:test:subject');
+        done();
+      });
+    });
+    it('should reject a tampered token', done => {
+      store.sign({
+        namespace: namespace.id,
+        payload: {sub: 'urn:test:subject'}
+      }, (err, token) => {
+        should.not.exist(err);
+        const parts = token.split('.');
+        parts[2] = parts[2].split('').reverse().join('');
+        store.verify(parts.join('.'), err => {
+          should.exist(err);
+          err.name.should.equal('InvalidSignature');
+          done();
+        });
+      });
+    });
+    it('should verify a token signed before a key rotation', done => {
+      async.auto({
+        signBefore: callback => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'}
+        }, callback),
+        rotate: ['signBefore', (callback, results) =>
+          store.rotateKey(namespace.id, callback)],
+        signAfter: ['rotate', (callback, results) => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'}
+        }, callback)],
+        verifyBefore: ['signAfter', (callback, results) =>
+          store.verify(results.signBefore, callback)],
+        verifyAfter: ['signAfter', (callback, results) =>
+          store.verify(results.signAfter, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        const before = jwt.decode(results.signBefore, {complete: true});
+        const after = jwt.decode(results.signAfter, {complete: true});
+        before.header.kid.should.not.equal(after.header.kid);
+        results.verifyBefore.sub.should.equal('urn:test:subject');
+        results.verifyAfter.sub.should.equal('urn:test:subject');
+        done();
+      });
+    });
+    it('should not verify a token after revoking previous keys', done => {
+      async.auto({
+        sign: callback => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'}
+        }, callback),
+        rotate: ['sign', (callback, results) =>
+          store.rotateKey(namespace.id, {revokePrevious: true}, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        store.verify(results.sign, err => {
+          should.exist(err);
+          err.name.should.equal('UnknownKey');
+          done();
+        });
+      });
+    });
+    it('should apply concurrent updates within one millisecond', done => {
+      const now = Date.now();
+      const dateNow = Date.now;
+      Date.now = () => now;
+      async.auto({
+        update: callback => store.updateNamespace(
+          {id: namespace.id, tokenTtlInSecs: 60}, callback),
+        updateTtl: ['update', callback => store.updateNamespace(
+          {id: namespace.id, tokenTtlInSecs: 600}, callback)],
+        updateTolerance: ['update', callback => store.updateNamespace(
+          {id: namespace.id, clockToleranceInSecs: 30}, callback)],
+        get: ['updateTtl', 'updateTolerance', (callback, results) =>
+          store.getNamespace(namespace.id, callback)]
+      }, (err, results) => {
+        Date.now = dateNow;
+        should.not.exist(err);
+        results.get.tokenTtlInSecs.should.equal(600);
+        results.get.clockToleranceInSecs.should.equal(30);
+        done();
+      });
+    });
+    it('should deprovision the namespace', done => {
+      async.auto({
+        deprovision: callback => store.deprovision(namespace.id, callback),
+        get: ['deprovision', (callback, results) =>
+          store.getNamespace(namespace.id, err => callback(null, err))]
+      }, (err, results) => {
+        should.not.exist(err);
+        should.exist(results.get);
+        results.get.name.should.equal('NotFound');
+        done();
+      });
+    });
+  });
+
+  describe('namespace listing', () => {
+    const ids = ['test-list-1', 'test-list-2', 'test-list-3'];
+    before(done => {
+      brJwt.setStorage(new brJwt.MemoryStorage());
+      async.eachSeries(ids, (id, callback) => store.provision({
+        id: id,
+        algorithm: 'HS256',
+        clockToleranceInSecs: 60,
+        tokenTtlInSecs: 3600
+      }, callback), done);
+    });
+
+    it('should list namespaces in the order they were provisioned', done => {
+      store.listNamespaces((err, namespaces) => {
+        should.not.exist(err);
+        namespaces.map(namespace => namespace.id).should.deep.equal(ids);
+        namespaces.forEach(namespace => should.not.exist(namespace.state));
+        done();
+      });
+    });
+    it('should page through the namespaces', done => {
+      async.auto({
+        first: callback => store.listNamespaces({limit: 2}, callback),
+        second: callback => store.listNamespaces(
+          {offset: 2, limit: 2}, callback),
+        past: callback => store.listNamespaces({offset: 3}, callback)
+      }, (err, results) => {
+        should.not.exist(err);
+        results.first.map(namespace => namespace.id).should.deep.equal(
+          ids.slice(0, 2));
+        results.second.map(namespace => namespace.id).should.deep.equal(
+          ids.slice(2));
+        results.past.should.deep.equal([]);
+        done();
+      });
+    });
+    it('should reject an invalid offset or limit', done => {
+      async.auto({
+        offset: callback => store.listNamespaces(
+          {offset: -1}, err => callback(null, err)),
+        limit: callback => store.listNamespaces(
+          {limit: 0}, err => callback(null, err)),
+        fraction: callback => store.listNamespaces(
+          {limit: 1.5}, err => callback(null, err))
+      }, (err, results) => {
+        should.not.exist(err);
+        results.offset.should.be.an.instanceof(TypeError);
+        results.limit.should.be.an.instanceof(TypeError);
+        results.fraction.should.be.an.instanceof(TypeError);
+        done();
+      });
+    });
+    it('should not list a deprovisioned namespace', done => {
+      async.auto({
+        deprovision: callback => store.deprovision(ids[1], callback),
+        list: ['deprovision', callback => store.listNamespaces(callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.list.map(namespace => namespace.id).should.deep.equal(
+          [ids[0], ids[2]]);
+        done();
+      });
+    });
+  });
+
+  describe('lifecycle events', () => {
+    const namespace = {
+      id: 'test-events',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600
+    };
+    before(done => {
+      // a faulty listener for this namespace's tokens
+      bedrock.events.on(
+        'bedrock-jwt-mongodb.token.signed', (data, callback) => {
+          if(data.namespace !== namespace.id) {
+            return callback();
+          }
+          callback(new Error('Listener failure.'));
+        });
+      store.provision(namespace, done);
+    });
+
+    it('should not fail when an event listener fails', done => {
+      const rejections = [];
+      const onRejection = err => rejections.push(err);
+      process.on('unhandledRejection', onRejection);
+      async.auto({
+        sign: callback => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'}
+        }, callback),
+        verify: ['sign', (callback, results) =>
+          store.verify(results.sign, callback)],
+        // give a rejected event promise time to be reported
+        wait: ['verify', (callback, results) => setTimeout(callback, 50)]
+      }, (err, results) => {
+        process.removeListener('unhandledRejection', onRejection);
+        should.not.exist(err);
+        results.verify.sub.should.equal('urn:test:subject');
+        rejections.should.have.length(0);
+        done();
+      });
+    });
+  });
+
+  describe('namespace handlers', () => {
+    // an HMAC handler that counts the namespaces it creates state for
+    class CountingHandler extends brJwt.NamespaceHandlerHmac {
+      constructor() {
+        super();
+        this.created = 0;
+      }
+      createState(options, callback) {
+        this.created++;
+        return super.createState(options, callback);
+      }
+    }
+    const provision = (customStore, id, algorithm, callback) =>
+      customStore.provision({
+        id: id,
+        algorithm: algorithm,
+        clockToleranceInSecs: 60,
+        tokenTtlInSecs: 3600
+      }, callback);
+
+    it('should use a handler registered for an algorithm', done => {
+      const customStore = new brJwt.Store();
+      const handler = new CountingHandler();
+      customStore.registerHandler('HS384', handler);
+      async.auto({
+        provision: callback => provision(
+          customStore, 'test-handler-hs384', 'HS384', callback),
+        // the `HS` family handler is still used for other algorithms
+        provisionOther: ['provision', (callback, results) => provision(
+          customStore, 'test-handler-hs512', 'HS512', callback)],
+        sign: ['provision', (callback, results) => customStore.sign({
+          namespace: 'test-handler-hs384',
+          payload: {sub: 'urn:test:subject'}
+        }, callback)],
+        verify: ['sign', (callback, results) =>
+          customStore.verify(results.sign, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        handler.created.should.equal(1);
+        jwt.decode(results.sign, {complete: true}).header.alg.should.equal(
+          'HS384');
+        results.verify.sub.should.equal('urn:test:subject');
+        done();
+      });
+    });
+    it('should replace a handler registered for the same algorithm', done => {
+      const customStore = new brJwt.Store();
+      const replaced = new CountingHandler();
+      const handler = new CountingHandler();
+      customStore.registerHandler('HS', replaced);
+      customStore.registerHandler(['HS', 'HS256'], handler);
+      provision(customStore, 'test-handler-replaced', 'HS256', err => {
+        should.not.exist(err);
+        replaced.created.should.equal(0);
+        handler.created.should.equal(1);
+        done();
+      });
+    });
+    it('should not register an invalid handler', () => {
+      const customStore = new brJwt.Store();
+      (() => customStore.registerHandler('H', new CountingHandler()))
+        .should.throw(TypeError);
+      (() => customStore.registerHandler([], new CountingHandler()))
+        .should.throw(TypeError);
+      (() => customStore.registerHandler('HS256', {}))
+        .should.throw(TypeError);
+    });
+    it('should not provision a namespace with an unknown algorithm', done => {
+      async.mapSeries(['XX256', 'constructor', '__proto__', undefined],
+        (algorithm, callback) => provision(
+          store, 'test-handler-unknown', algorithm,
+          err => callback(null, err)), (err, errors) => {
+          should.not.exist(err);
+          errors.forEach(err => {
+            should.exist(err);
+            err.message.should.equal('Unsupported algorithm.');
+          });
+          done();
+        });
+    });
+    it('should not verify a token with an unknown algorithm', done => {
+      const token = [
+        {alg: 'toString', kid: 'test-hs256:1'},
+        {sub: 'urn:test:subject'}
+      ].map(part => Buffer.from(JSON.stringify(part)).toString('base64url'))
+        .concat('c2lnbmF0dXJl').join('.');
+      store.verify(token, err => {
+        should.exist(err);
+        err.name.should.equal('UnsupportedAlgorithm');
+        done();
+      });
+    });
+  });
+
+  describe('promise API', () => {
+    const namespace = {
+      id: 'test-promise',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600
+    };
+    // resolves to the error the given promise is rejected with
+    const rejection = promise => promise.then(() => {
+      throw new Error('Expected the promise to be rejected.');
+    }, err => err);
+    let handler;
+    before(() => {
+      handler = new brJwt.NamespaceHandlerHmac();
+      return store.provision(namespace);
+    });
+
+    it('should resolve and reject provision', () =>
+      store.provision(namespace).then(() => rejection(store.provision(
+        Object.assign({}, namespace, {algorithm: 'HS512'}))))
+        .then(err => err.name.should.equal('DuplicateError')));
+    it('should resolve and reject getNamespace', () =>
+      store.getNamespace(namespace.id).then(result => {
+        result.id.should.equal(namespace.id);
+        return rejection(store.getNamespace('test-promise-unknown'));
+      }).then(err => err.name.should.equal('NotFound')));
+    it('should resolve and reject sign and verify', () =>
+      store.sign({namespace: namespace.id, payload: {sub: 'urn:test:subject'}})
+        .then(token => store.verify(token))
+        .then(payload => {
+          payload.sub.should.equal('urn:test:subject');
+          return rejection(store.sign({
+            namespace: 'test-promise-unknown', payload: {}}));
+        })
+        .then(err => {
+          err.name.should.equal('NotFound');
+          return rejection(store.verify('not-a-token'));
+        })
+        .then(err => err.name.should.equal('MalformedToken')));
+    it('should resolve and reject listNamespaces', () =>
+      store.listNamespaces().then(namespaces => {
+        namespaces.should.be.an('array');
+        return rejection(store.listNamespaces({limit: 0}));
+      }).then(err => err.should.be.an.instanceof(TypeError)));
+    it('should resolve and reject handler createState', () =>
+      handler.createState({namespace: namespace}).then(state => {
+        state.key.should.be.an('object');
+        state.previousKeys.should.deep.equal([]);
+        // the base handler must be overridden
+        return rejection(
+          new brJwt.NamespaceHandler().createState({namespace: namespace}));
+      }).then(err => err.message.should.contain('overriden')));
+    it('should resolve and reject handler getKey', () =>
+      store.getNamespace(namespace.id)
+        .then(result => handler.getKey({namespace: result}))
+        .then(key => {
+          key.id.should.be.a('string');
+          return rejection(handler.getKey({namespace: 'test-promise-unknown'}));
+        })
+        .then(err => err.name.should.equal('NotFound')));
+    it('should support handlers with async methods', () => {
+      // an HMAC handler whose methods return promises instead of calling back
+      class AsyncHandler extends brJwt.NamespaceHandlerHmac {
+        async createState(options) {
+          const state = await new Promise((resolve, reject) =>
+            super.createState(options, (err, state) =>
+              err ? reject(err) : resolve(state)));
+          state.custom = true;
+          return state;
+        }
+        async getKey(options) {
+          return new Promise((resolve, reject) =>
+            super.getKey(options, (err, key) =>
+              err ? reject(err) : resolve(key)));
+        }
+      }
+      const asyncStore = new brJwt.Store();
+      asyncStore.registerHandler('HS384', new AsyncHandler());
+      const asyncNamespace = Object.assign(
+        {}, namespace, {id: 'test-promise-async', algorithm: 'HS384'});
+      return asyncStore.provision(asyncNamespace)
+        .then(() => asyncStore.getNamespace(asyncNamespace.id))
+        .then(result => {
+          result.state.custom.should.equal(true);
+          return asyncStore.sign(
+            {namespace: asyncNamespace.id, payload: {sub: 'urn:test:subject'}});
+        })
+        .then(token => asyncStore.verify(token))
+        .then(payload => payload.sub.should.equal('urn:test:subject'));
+    });
+  });
+
+  describe('HMAC key retention', () => {
+    const namespace = {
+      id: 'test-retention',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600
+    };
+    const cfg = bedrock.config['jwt-mongodb'].hmac;
+    before(done => {
+      cfg.retainedKeys = 2;
+      store.provision(namespace, done);
+    });
+    after(() => {
+      cfg.retainedKeys = 1;
+    });
+
+    it('should verify tokens signed with the retained keys only', done => {
+      const sign = callback => store.sign({
+        namespace: namespace.id,
+        payload: {sub: 'urn:test:subject'}
+      }, callback);
+      const rotate = callback => store.rotateKey(namespace.id, callback);
+      // sign a token with each key, then rotate
+      async.timesSeries(3, (n, callback) => async.waterfall([
+        sign,
+        (token, callback) => rotate(err => callback(err, token))
+      ], callback), (err, tokens) => {
+        should.not.exist(err);
+        async.mapSeries(tokens, (token, callback) => store.verify(
+          token, err => callback(null, err)), (err, errors) => {
+          should.not.exist(err);
+          should.exist(errors[0]);
+          errors[0].name.should.equal('UnknownKey');
+          should.not.exist(errors[1]);
+          should.not.exist(errors[2]);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('storage clock', () => {
+    // storage whose clock is two hours behind the local clock
+    class SkewedStorage extends brJwt.MemoryStorage {
+      getTime(callback) {
+        super.getTime((err, time) => callback(
+          err, time && new Date(time.getTime() - 7200 * 1000)));
+      }
+    }
+    const namespace = {
+      id: 'test-storage-clock',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 0,
+      tokenTtlInSecs: 3600
+    };
+    const sign = callback => store.sign({
+      namespace: namespace.id,
+      payload: {sub: 'urn:test:subject'}
+    }, callback);
+    let adapter;
+    before(done => {
+      adapter = new SkewedStorage();
+      brJwt.setStorage(adapter);
+      store.provision(namespace, done);
+    });
+    after(() => {
+      brJwt.setStorage(new brJwt.MemoryStorage());
+    });
+
+    it('should decide key expiration by the storage clock', done => {
+      async.auto({
+        sign: sign,
+        get: ['sign', (callback, results) =>
+          adapter.get(namespace.id, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        const key = results.get.namespace.state.key;
+        // expired by the local clock, but not by the storage clock
+        key.expires.should.be.below(Math.floor(Date.now() / 1000));
+        jwt.decode(results.sign, {complete: true}).header.kid.should.equal(
+          namespace.id + ':' + key.id);
+        done();
+      });
+    });
+    it('should assign increasing key ids within a second', done => {
+      async.timesSeries(3, (n, callback) => async.waterfall([
+        callback => store.rotateKey(namespace.id, err => callback(err)),
+        callback => adapter.get(namespace.id, callback)
+      ], callback), (err, records) => {
+        should.not.exist(err);
+        const ids = records.map(
+          record => parseInt(record.namespace.state.key.id, 10));
+        ids[1].should.be.above(ids[0]);
+        ids[2].should.be.above(ids[1]);
+        done();
+      });
+    });
+    it('should publish the next key before signing with it', done => {
+      const shortLived = {
+        id: 'test-storage-clock-short',
+        algorithm: 'HS256',
+        clockToleranceInSecs: 0,
+        tokenTtlInSecs: 30
+      };
+      async.auto({
+        provision: callback => store.provision(shortLived, callback),
+        sign: ['provision', (callback, results) => store.sign({
+          namespace: shortLived.id,
+          payload: {sub: 'urn:test:subject'}
+        }, callback)],
+        get: ['sign', (callback, results) =>
+          adapter.get(shortLived.id, callback)],
+        rotate: ['get', (callback, results) =>
+          store.rotateKey(shortLived.id, callback)],
+        getRotated: ['rotate', (callback, results) =>
+          adapter.get(shortLived.id, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        const state = results.get.namespace.state;
+        should.exist(state.nextKey);
+        // the token is signed with the current key, the next key is only
+        // published
+        jwt.decode(results.sign, {complete: true}).header.kid.should.equal(
+          shortLived.id + ':' + state.key.id);
+        // the published key is the one rotated to
+        results.getRotated.namespace.state.key.id.should.equal(
+          state.nextKey.id);
+        done();
+      });
+    });
+  });
+
+  describe('claim policy', () => {
+    const namespace = {
+      id: 'test-claim-policy',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 0,
+      tokenTtlInSecs: 3600,
+      claimPolicy: {
+        issuer: 'urn:test:issuer',
+        audiences: ['urn:test:audience:1', 'urn:test:audience:2'],
+        requiredClaims: ['sub'],
+        maxTokenAgeInSecs: 600
+      }
+    };
+    let key;
+    // signs a token with the namespace's key but without its claim policy
+    const forge = payload => jwt.sign(
+      payload, Buffer.from(key.data, 'base64'),
+      {algorithm: 'HS256', keyid: namespace.id + ':' + key.id});
+    before(done => {
+      const adapter = new brJwt.MemoryStorage();
+      brJwt.setStorage(adapter);
+      async.auto({
+        provision: callback => store.provision(namespace, callback),
+        get: ['provision', (callback, results) =>
+          adapter.get(namespace.id, callback)]
+      }, (err, results) => {
+        if(err) {
+          return done(err);
+        }
+        key = results.get.namespace.state.key;
+        done();
+      });
+    });
+
+    it('should stamp and enforce the claim policy', done => {
+      async.auto({
+        sign: callback => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'}
+        }, callback),
+        verify: ['sign', (callback, results) =>
+          store.verify(results.sign, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.verify.iss.should.equal('urn:test:issuer');
+        results.verify.aud.should.deep.equal(namespace.claimPolicy.audiences);
+        done();
+      });
+    });
+    it('should not sign a token without a required claim', done => {
+      store.sign({namespace: namespace.id, payload: {}}, err => {
+        should.exist(err);
+        err.name.should.equal('DataError');
+        err.details.claims.should.deep.equal(['sub']);
+        done();
+      });
+    });
+    it('should not sign a token for another audience', done => {
+      store.sign({
+        namespace: namespace.id,
+        payload: {sub: 'urn:test:subject', aud: 'urn:test:audience:3'}
+      }, err => {
+        should.exist(err);
+        err.name.should.equal('NotAllowedError');
+        done();
+      });
+    });
+    it('should reject a token from another issuer', done => {
+      store.verify(forge({
+        sub: 'urn:test:subject',
+        iss: 'urn:test:other',
+        aud: 'urn:test:audience:1'
+      }), err => {
+        should.exist(err);
+        err.name.should.equal('InvalidClaims');
+        done();
+      });
+    });
+    it('should reject a token for another audience', done => {
+      store.verify(forge({
+        sub: 'urn:test:subject',
+        iss: 'urn:test:issuer',
+        aud: 'urn:test:audience:3'
+      }), err => {
+        should.exist(err);
+        err.name.should.equal('InvalidClaims');
+        done();
+      });
+    });
+    it('should reject a token without a required claim', done => {
+      store.verify(forge({
+        iss: 'urn:test:issuer',
+        aud: 'urn:test:audience:1'
+      }), err => {
+        should.exist(err);
+        err.name.should.equal('InvalidClaims');
+        err.details.claims.should.deep.equal(['sub']);
+        done();
+      });
+    });
+    it('should reject a token older than the maximum age', done => {
+      store.verify(forge({
+        sub: 'urn:test:subject',
+        iss: 'urn:test:issuer',
+        aud: 'urn:test:audience:1',
+        iat: Math.floor(Date.now() / 1000) - 601
+      }), err => {
+        should.exist(err);
+        err.name.should.equal('TokenExpired');
+        done();
+      });
+    });
+    it('should reject a token that is not yet valid', done => {
+      store.verify(forge({
+        sub: 'urn:test:subject',
+        iss: 'urn:test:issuer',
+        aud: 'urn:test:audience:1',
+        nbf: Math.floor(Date.now() / 1000) + 600
+      }), err => {
+        should.exist(err);
+        err.name.should.equal('TokenNotYetValid');
+        done();
+      });
+    });
+    it('should reject an invalid claim policy', done => {
+      store.provision(Object.assign({}, namespace, {
+        id: 'test-claim-policy-invalid',
+        claimPolicy: {audiences: []}
+      }), err => {
+        should.exist(err);
+        err.should.be.an.instanceof(TypeError);
+        done();
+      });
+    });
+  });
+
+  describe('verification errors', () => {
+    const namespace = {
+      id: 'test-errors',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 0,
+      tokenTtlInSecs: 3600
+    };
+    let key;
+    const forge = (payload, options) => jwt.sign(
+      payload, Buffer.from(key.data, 'base64'), Object.assign(
+        {algorithm: 'HS256', keyid: namespace.id + ':' + key.id}, options));
+    const shouldFailWith = (token, name, httpStatusCode, done) =>
+      store.verify(token, err => {
+        should.exist(err);
+        err.name.should.equal(name);
+        err.details.httpStatusCode.should.equal(httpStatusCode);
+        err.details.public.should.equal(true);
+        done();
+      });
+    before(done => {
+      const adapter = new brJwt.MemoryStorage();
+      brJwt.setStorage(adapter);
+      async.auto({
+        provision: callback => store.provision(namespace, callback),
+        get: ['provision', (callback, results) =>
+          adapter.get(namespace.id, callback)]
+      }, (err, results) => {
+        if(err) {
+          return done(err);
+        }
+        key = results.get.namespace.state.key;
+        done();
+      });
+    });
+
+    it('should reject a token that cannot be decoded', done => {
+      shouldFailWith('not-a-token', 'MalformedToken', 400, done);
+    });
+    it('should reject a token without a kid', done => {
+      shouldFailWith(
+        jwt.sign({sub: 'urn:test:subject'}, Buffer.from(key.data, 'base64'),
+          {algorithm: 'HS256'}),
+        'MalformedToken', 400, done);
+    });
+    it('should reject a token with an unsupported algorithm', done => {
+      shouldFailWith(
+        jwt.sign({sub: 'urn:test:subject'}, null,
+          {algorithm: 'none', keyid: namespace.id + ':' + key.id}),
+        'UnsupportedAlgorithm', 400, done);
+    });
+    it('should reject a token of an unknown namespace', done => {
+      shouldFailWith(
+        forge({sub: 'urn:test:subject'}, {keyid: 'test-unknown:1'}),
+        'UnknownKey', 401, done);
+    });
+    it('should reject a token with an unknown key', done => {
+      shouldFailWith(
+        forge({sub: 'urn:test:subject'}, {keyid: namespace.id + ':1'}),
+        'UnknownKey', 401, done);
+    });
+    it('should reject a token with an invalid signature', done => {
+      const token = jwt.sign(
+        {sub: 'urn:test:subject'}, 'wrong-secret',
+        {algorithm: 'HS256', keyid: namespace.id + ':' + key.id});
+      shouldFailWith(token, 'InvalidSignature', 401, done);
+    });
+    it('should reject an expired token', done => {
+      shouldFailWith(
+        forge({
+          sub: 'urn:test:subject',
+          exp: Math.floor(Date.now() / 1000) - 60
+        }), 'TokenExpired', 401, done);
+    });
+    it('should reject a token that is not yet valid', done => {
+      shouldFailWith(
+        forge({sub: 'urn:test:subject'}, {notBefore: 600}),
+        'TokenNotYetValid', 401, done);
+    });
+  });
+
+  describe('RS256 namespace', () => {
+    const namespace = {
+      id: 'test-rs256',
+      algorithm: 'RS256',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600,
+      key: 'urn:test:key:rs256'
+    };
+    before(done => {
+      helpers.keySource.addKey(namespace.key, 'rsa');
+      store.provision(namespace, done);
+    });
+
+    it('should sign and verify a token', done => {
+      async.auto({
+        sign: callback => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'}
+        }, callback),
+        verify: ['sign', (callback, results) =>
+          store.verify(results.sign, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        jwt.decode(results.sign, {complete: true}).header.alg.should.equal(
+          'RS256');
+        results.verify.sub.should.equal('urn:test:subject');
+        done();
+      });
+    });
+    it('should not provision a namespace with a key in use', done => {
+      store.provision(Object.assign({}, namespace, {
+        id: 'test-rs256-shared'
+      }), err => {
+        should.exist(err);
+        err.name.should.equal('DuplicateError');
+        err.details.key.should.equal(namespace.key);
+        done();
+      });
+    });
+    it('should not update a namespace to use a key in use', done => {
+      const other = Object.assign({}, namespace, {
+        id: 'test-rs256-other',
+        key: 'urn:test:key:rs256:other'
+      });
+      helpers.keySource.addKey(other.key, 'rsa');
+      async.auto({
+        provision: callback => store.provision(other, callback),
+        update: ['provision', (callback, results) => store.updateNamespace({
+          id: other.id,
+          key: namespace.key
+        }, err => callback(null, err))],
+        sign: ['update', (callback, results) => store.sign({
+          namespace: other.id,
+          payload: {sub: 'urn:test:subject'}
+        }, callback)],
+        verify: ['sign', (callback, results) =>
+          store.verifyWithNamespace(results.sign, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        should.exist(results.update);
+        results.update.name.should.equal('DuplicateError');
+        results.update.details.conflicts.should.deep.equal(['key']);
+        results.verify.namespace.should.equal(other.id);
+        done();
+      });
+    });
+    it('should not verify a token after its key is revoked', done => {
+      store.sign({
+        namespace: namespace.id,
+        payload: {sub: 'urn:test:subject'}
+      }, (err, token) => {
+        should.not.exist(err);
+        helpers.keySource.revokeKey(namespace.key);
+        store.verify(token, err => {
+          should.exist(err);
+          err.name.should.equal('UnknownKey');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('JWKS', () => {
+    const namespaces = [{
+      id: 'test-jwks-rs256',
+      algorithm: 'RS256',
+      key: 'urn:test:key:jwks:shared'
+    }, {
+      id: 'test-jwks-ps256',
+      algorithm: 'PS256',
+      key: 'urn:test:key:jwks:shared'
+    }, {
+      id: 'test-jwks-ps384',
+      algorithm: 'PS384',
+      key: 'urn:test:key:jwks:other'
+    }, {
+      id: 'test-jwks-hs256',
+      algorithm: 'HS256'
+    }];
+    before(done => {
+      brJwt.setStorage(new brJwt.MemoryStorage());
+      helpers.keySource.addKey('urn:test:key:jwks:shared', 'rsa');
+      helpers.keySource.addKey('urn:test:key:jwks:other', 'rsa');
+      async.eachSeries(namespaces, (namespace, callback) => store.provision(
+        Object.assign({clockToleranceInSecs: 60, tokenTtlInSecs: 3600},
+          namespace), callback), done);
+    });
+
+    it('should get the JWKS of a namespace', done => {
+      store.getJwks('test-jwks-ps256', (err, jwks) => {
+        should.not.exist(err);
+        jwks.keys.should.have.length(1);
+        jwks.keys[0].kid.should.equal('urn:test:key:jwks:shared');
+        jwks.keys[0].alg.should.equal('PS256');
+        done();
+      });
+    });
+    it('should not get the JWKS of an HMAC namespace', done => {
+      store.getJwks('test-jwks-hs256', err => {
+        should.exist(err);
+        err.name.should.equal('NotAllowedError');
+        done();
+      });
+    });
+    it('should list a key shared by algorithms once without alg', done => {
+      store.getAllJwks((err, jwks) => {
+        should.not.exist(err);
+        jwks.keys.map(key => key.kid).should.have.members(
+          ['urn:test:key:jwks:shared', 'urn:test:key:jwks:other']);
+        const shared = jwks.keys.find(
+          key => key.kid === 'urn:test:key:jwks:shared');
+        should.not.exist(shared.alg);
+        shared.use.should.equal('sig');
+        jwks.keys.find(key => key.kid === 'urn:test:key:jwks:other')
+          .alg.should.equal('PS384');
+        done();
+      });
+    });
+  });
+
+  describe('key maintenance', () => {
+    const hmac = {
+      id: 'test-maintenance-hmac',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 0,
+      tokenTtlInSecs: 30
+    };
+    const webKey = {
+      id: 'test-maintenance-rs256',
+      algorithm: 'RS256',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600,
+      key: 'urn:test:key:maintenance'
+    };
+    const cfg = bedrock.config['jwt-mongodb'].hmac;
+    let adapter;
+    before(done => {
+      adapter = new brJwt.MemoryStorage();
+      brJwt.setStorage(adapter);
+      helpers.keySource.addKey(webKey.key, 'rsa');
+      async.auto({
+        hmac: callback => store.provision(hmac, callback),
+        webKey: callback => store.provision(webKey, callback)
+      }, done);
+    });
+    after(() => {
+      cfg.prePublishInSecs = 60;
+    });
+
+    it('should publish the next key of an expiring HMAC key', done => {
+      async.auto({
+        maintain: callback => store.maintainKeys(
+          {intervalInSecs: 60}, callback),
+        get: ['maintain', (callback, results) =>
+          adapter.get(hmac.id, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.maintain.should.deep.equal(
+          {published: 1, rotated: 0, disabled: 0, failed: 0});
+        should.exist(results.get.namespace.state.nextKey);
+        done();
+      });
+    });
+    it('should rotate an HMAC key before it expires', done => {
+      cfg.prePublishInSecs = 0;
+      async.auto({
+        before: callback => adapter.get(hmac.id, callback),
+        maintain: ['before', (callback, results) =>
+          store.maintainKeys({intervalInSecs: 60}, callback)],
+        after: ['maintain', (callback, results) =>
+          adapter.get(hmac.id, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.maintain.should.deep.equal(
+          {published: 0, rotated: 1, disabled: 0, failed: 0});
+        results.after.namespace.state.key.id.should.equal(
+          results.before.namespace.state.nextKey.id);
+        done();
+      });
+    });
+    it('should disable a namespace whose key was revoked', done => {
+      cfg.prePublishInSecs = 60;
+      helpers.keySource.revokeKey(webKey.key);
+      async.auto({
+        maintain: callback => store.maintainKeys(
+          {intervalInSecs: 1}, callback),
+        sign: ['maintain', (callback, results) => store.sign({
+          namespace: webKey.id,
+          payload: {sub: 'urn:test:subject'}
+        }, err => callback(null, err))],
+        maintainAgain: ['sign', (callback, results) =>
+          store.maintainKeys({intervalInSecs: 1}, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.maintain.disabled.should.equal(1);
+        should.exist(results.sign);
+        results.sign.name.should.equal('NotAllowedError');
+        results.sign.details.reason.should.equal('keyRevoked');
+        // already disabled namespaces are not counted again
+        results.maintainAgain.disabled.should.equal(0);
+        done();
+      });
+    });
+  });
+
+  describe('ES namespaces', () => {
+    const curves = {ES256: 'P-256', ES384: 'P-384', ES512: 'P-521'};
+    Object.keys(curves).forEach(algorithm => {
+      const namespace = {
+        id: 'test-' + algorithm.toLowerCase(),
+        algorithm: algorithm,
+        clockToleranceInSecs: 60,
+        tokenTtlInSecs: 3600,
+        key: 'urn:test:key:' + algorithm.toLowerCase()
+      };
+
+      it('should sign and verify an ' + algorithm + ' token', done => {
+        helpers.keySource.addKey(
+          namespace.key, 'ec', {namedCurve: curves[algorithm]});
+        async.auto({
+          provision: callback => store.provision(namespace, callback),
+          sign: ['provision', (callback, results) => store.sign({
+            namespace: namespace.id,
+            payload: {sub: 'urn:test:subject'}
+          }, callback)],
+          verify: ['sign', (callback, results) =>
+            store.verify(results.sign, callback)],
+          verifyTampered: ['sign', (callback, results) => store.verify(
+            helpers.tamper(results.sign), err => callback(null, err))]
+        }, (err, results) => {
+          should.not.exist(err);
+          jwt.decode(results.sign, {complete: true}).header.alg.should.equal(
+            algorithm);
+          results.verify.sub.should.equal('urn:test:subject');
+          should.exist(results.verifyTampered);
+          results.verifyTampered.name.should.equal('InvalidSignature');
+          done();
+        });
+      });
+    });
+    it('should not provision with a key of another curve', done => {
+      helpers.keySource.addKey(
+        'urn:test:key:es384-p256', 'ec', {namedCurve: 'P-256'});
+      store.provision({
+        id: 'test-es384-p256',
+        algorithm: 'ES384',
+        clockToleranceInSecs: 60,
+        tokenTtlInSecs: 3600,
+        key: 'urn:test:key:es384-p256'
+      }, err => {
+        should.exist(err);
+        err.name.should.equal('InvalidKey');
+        err.message.should.contain('curve');
+        done();
+      });
+    });
+    it('should not provision with an RSA key', done => {
+      helpers.keySource.addKey('urn:test:key:es256-rsa', 'rsa');
+      store.provision({
+        id: 'test-es256-rsa',
+        algorithm: 'ES256',
+        clockToleranceInSecs: 60,
+        tokenTtlInSecs: 3600,
+        key: 'urn:test:key:es256-rsa'
+      }, err => {
+        should.exist(err);
+        err.name.should.equal('InvalidKey');
+        done();
+      });
+    });
+  });
+
+  describe('EdDSA namespace', () => {
+    const namespace = {
+      id: 'test-eddsa',
+      algorithm: 'EdDSA',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600,
+      key: 'urn:test:key:eddsa'
+    };
+    before(done => {
+      helpers.keySource.addKey(namespace.key, 'ed25519');
+      store.provision(namespace, done);
+    });
+
+    it('should sign and verify a token', done => {
+      async.auto({
+        sign: callback => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'}
+        }, callback),
+        verify: ['sign', (callback, results) =>
+          store.verify(results.sign, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        const header = jwt.decode(results.sign, {complete: true}).header;
+        header.alg.should.equal('EdDSA');
+        header.kid.should.equal(namespace.key);
+        results.verify.sub.should.equal('urn:test:subject');
+        done();
+      });
+    });
+    it('should not verify a tampered token', done => {
+      store.sign({
+        namespace: namespace.id,
+        payload: {sub: 'urn:test:subject'}
+      }, (err, token) => {
+        should.not.exist(err);
+        store.verify(helpers.tamper(token), err => {
+          should.exist(err);
+          err.name.should.equal('InvalidSignature');
+          done();
+        });
+      });
+    });
+    it('should not verify an expired token', done => {
+      const now = Date.now;
+      store.sign({
+        namespace: namespace.id,
+        payload: {sub: 'urn:test:subject'}
+      }, (err, token) => {
+        should.not.exist(err);
+        Date.now = () => now() + 7200 * 1000;
+        store.verify(token, err => {
+          Date.now = now;
+          should.exist(err);
+          err.name.should.equal('TokenExpired');
+          done();
+        });
+      });
+    });
+    it('should not provision with a key that is not Ed25519', done => {
+      helpers.keySource.addKey(
+        'urn:test:key:eddsa-ec', 'ec', {namedCurve: 'P-256'});
+      store.provision({
+        id: 'test-eddsa-ec',
+        algorithm: 'EdDSA',
+        clockToleranceInSecs: 60,
+        tokenTtlInSecs: 3600,
+        key: 'urn:test:key:eddsa-ec'
+      }, err => {
+        should.exist(err);
+        err.name.should.equal('InvalidKey');
+        err.message.should.contain('Ed25519');
+        done();
+      });
+    });
+  });
+
+  describe('PS namespaces', () => {
+    ['PS256', 'PS384', 'PS512'].forEach(algorithm => {
+      const namespace = {
+        id: 'test-' + algorithm.toLowerCase(),
+        algorithm: algorithm,
+        clockToleranceInSecs: 60,
+        tokenTtlInSecs: 3600,
+        key: 'urn:test:key:' + algorithm.toLowerCase()
+      };
+
+      it('should sign and verify a ' + algorithm + ' token', done => {
+        helpers.keySource.addKey(namespace.key, 'rsa');
+        async.auto({
+          provision: callback => store.provision(namespace, callback),
+          sign: ['provision', (callback, results) => store.sign({
+            namespace: namespace.id,
+            payload: {sub: 'urn:test:subject'}
+          }, callback)],
+          verify: ['sign', (callback, results) =>
+            store.verify(results.sign, callback)],
+          verifyTampered: ['sign', (callback, results) => store.verify(
+            helpers.tamper(results.sign), err => callback(null, err))]
+        }, (err, results) => {
+          should.not.exist(err);
+          jwt.decode(results.sign, {complete: true}).header.alg.should.equal(
+            algorithm);
+          results.verify.sub.should.equal('urn:test:subject');
+          should.exist(results.verifyTampered);
+          results.verifyTampered.name.should.equal('InvalidSignature');
+          done();
+        });
+      });
+    });
+    it('should not verify a PS256 token as RS256', done => {
+      store.sign({
+        namespace: 'test-ps256',
+        payload: {sub: 'urn:test:subject'}
+      }, (err, token) => {
+        should.not.exist(err);
+        const parts = token.split('.');
+        const header = JSON.parse(Buffer.from(parts[0], 'base64url'));
+        header.alg = 'RS256';
+        parts[0] = Buffer.from(JSON.stringify(header)).toString('base64url');
+        store.verify(parts.join('.'), err => {
+          should.exist(err);
+          // no RS256 namespace uses the key
+          err.name.should.equal('UnknownKey');
+          done();
+        });
+      });
+    });
+    it('should not provision with an EC key', done => {
+      helpers.keySource.addKey(
+        'urn:test:key:ps256-ec', 'ec', {namedCurve: 'P-256'});
+      store.provision({
+        id: 'test-ps256-ec',
+        algorithm: 'PS256',
+        clockToleranceInSecs: 60,
+        tokenTtlInSecs: 3600,
+        key: 'urn:test:key:ps256-ec'
+      }, err => {
+        should.exist(err);
+        err.name.should.equal('InvalidKey');
+        err.message.should.contain('RSA');
+        done();
+      });
+    });
+  });
+
+  describe('namespace cache', () => {
+    const namespace = {
+      id: 'test-cache',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600
+    };
+    const cfg = bedrock.config['jwt-mongodb'].cache;
+    // changes made through the adapter stand in for changes by another node
+    let adapter;
+    let reads = 0;
+    before(done => {
+      adapter = new brJwt.MemoryStorage();
+      ['get', 'getSequence', 'find'].forEach(method => {
+        const read = adapter[method];
+        adapter[method] = function() {
+          reads++;
+          return read.apply(this, arguments);
+        };
+      });
+      brJwt.setStorage(adapter);
+      store.provision(namespace, done);
+    });
+    // runs `fn` as if the cache's sync interval had passed
+    const afterSyncInterval = (fn, callback) => {
+      const interval = cfg.syncIntervalInSecs;
+      cfg.syncIntervalInSecs = 0;
+      fn((err, result) => {
+        cfg.syncIntervalInSecs = interval;
+        callback(err, result);
+      });
+    };
+
+    it('should serve a cached namespace without reading storage', done => {
+      async.auto({
+        cache: callback => store.getNamespace(namespace.id, callback),
+        get: ['cache', (callback, results) => {
+          reads = 0;
+          async.timesSeries(3, (n, callback) =>
+            store.getNamespace(namespace.id, callback), callback);
+        }]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.get[2].id.should.equal(namespace.id);
+        reads.should.equal(0);
+        done();
+      });
+    });
+    it('should notice a namespace update by another node', done => {
+      async.auto({
+        cache: callback => store.getNamespace(namespace.id, callback),
+        update: ['cache', (callback, results) => adapter.update(
+          namespace.id, {set: {'namespace.tokenTtlInSecs': 60}}, callback)],
+        get: ['update', (callback, results) => afterSyncInterval(
+          callback => store.getNamespace(namespace.id, callback), callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.get.tokenTtlInSecs.should.equal(60);
+        done();
+      });
+    });
+    it('should notice a deprovision by another node', done => {
+      async.auto({
+        sign: callback => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'}
+        }, callback),
+        cache: ['sign', (callback, results) =>
+          store.verify(results.sign, callback)],
+        remove: ['cache', (callback, results) =>
+          adapter.remove(namespace.id, callback)],
+        verify: ['remove', (callback, results) => afterSyncInterval(
+          callback => store.verify(results.sign, err => callback(null, err)),
+          callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        should.exist(results.verify);
+        results.verify.name.should.equal('UnknownKey');
+        done();
+      });
+    });
+  });
+
+  describe('wrapped key material', () => {
+    const namespace = {
+      id: 'test-kek',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600
+    };
+    const other = Object.assign({}, namespace, {id: 'test-kek-other'});
+    const cfg = bedrock.config['jwt-mongodb'].kek;
+    let adapter;
+    before(done => {
+      cfg.keys['test-kek'] = crypto.randomBytes(32).toString('base64');
+      cfg.currentKeyId = 'test-kek';
+      adapter = new brJwt.MemoryStorage();
+      brJwt.setStorage(adapter);
+      async.each([namespace, other], store.provision.bind(store), done);
+    });
+    after(() => {
+      cfg.currentKeyId = null;
+      delete cfg.keys['test-kek'];
+    });
+
+    it('should sign and verify with wrapped key material', done => {
+      async.auto({
+        record: callback => adapter.get(namespace.id, callback),
+        sign: callback => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'}
+        }, callback),
+        verify: ['sign', (callback, results) =>
+          store.verify(results.sign, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        const key = results.record.namespace.state.key;
+        should.not.exist(key.data);
+        key.wrappedData.kekId.should.equal('test-kek');
+        results.verify.sub.should.equal('urn:test:subject');
+        done();
+      });
+    });
+    it('should not unwrap key material copied to another namespace', done => {
+      async.auto({
+        record: callback => adapter.get(namespace.id, callback),
+        copy: ['record', (callback, results) => adapter.update(other.id, {
+          set: {'namespace.state': results.record.namespace.state}
+        }, callback)],
+        sign: ['copy', (callback, results) => store.sign({
+          namespace: other.id,
+          payload: {sub: 'urn:test:subject'}
+        }, err => callback(null, err))]
+      }, (err, results) => {
+        should.not.exist(err);
+        should.exist(results.sign);
+        results.sign.name.should.equal('InvalidKey');
+        done();
+      });
+    });
+  });
+
+  describe('key rewrapping', () => {
+    const namespaces = ['test-rewrap', 'test-rewrap-encrypted'].map(id => ({
+      id: id,
+      algorithm: 'HS256',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600
+    }));
+    namespaces[1].encryption = {algorithm: 'dir'};
+    // provisioned while key material is stored unwrapped
+    const plain = Object.assign({}, namespaces[0], {id: 'test-rewrap-plain'});
+    const cfg = bedrock.config['jwt-mongodb'].kek;
+    let adapter;
+    before(done => {
+      cfg.keys['test-rewrap-1'] = crypto.randomBytes(32).toString('base64');
+      cfg.currentKeyId = 'test-rewrap-1';
+      adapter = new brJwt.MemoryStorage();
+      brJwt.setStorage(adapter);
+      async.auto({
+        provision: callback => async.eachSeries(
+          namespaces, store.provision.bind(store), callback),
+        provisionPlain: ['provision', callback => {
+          cfg.currentKeyId = null;
+          store.provision(plain, callback);
+        }]
+      }, done);
+    });
+    after(() => {
+      cfg.currentKeyId = null;
+      delete cfg.keys['test-rewrap-1'];
+      delete cfg.keys['test-rewrap-2'];
+    });
+
+    it('should rewrap key material with a rotated KEK', done => {
+      async.auto({
+        sign: callback => async.mapSeries(namespaces, (namespace, callback) =>
+          store.sign({
+            namespace: namespace.id,
+            payload: {sub: 'urn:test:subject'}
+          }, callback), callback),
+        rotate: ['sign', (callback, results) => {
+          cfg.keys['test-rewrap-2'] = crypto.randomBytes(32).toString('base64');
+          cfg.currentKeyId = 'test-rewrap-2';
+          callback();
+        }],
+        rewrap: ['rotate', callback => store.rewrapKeys(callback)],
+        // the previous KEK is no longer needed
+        retire: ['rewrap', (callback, results) => {
+          delete cfg.keys['test-rewrap-1'];
+          callback();
+        }],
+        records: ['retire', callback => async.mapSeries(
+          namespaces.concat(plain).map(namespace => namespace.id),
+          adapter.get.bind(adapter), callback)],
+        verify: ['retire', (callback, results) => async.mapSeries(
+          results.sign, store.verify.bind(store), callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.rewrap.should.equal(3);
+        results.records.forEach(record => {
+          const key = record.namespace.state.key;
+          should.not.exist(key.data);
+          key.wrappedData.kekId.should.equal('test-rewrap-2');
+        });
+        results.records[1].namespace.encryption.secret.wrappedData.kekId
+          .should.equal('test-rewrap-2');
+        results.verify.forEach(
+          payload => payload.sub.should.equal('urn:test:subject'));
+        done();
+      });
+    });
+    it('should fail if a KEK is missing', done => {
+      const kek = cfg.keys['test-rewrap-2'];
+      delete cfg.keys['test-rewrap-2'];
+      async.auto({
+        rewrap: callback => store.rewrapKeys(err => callback(null, err)),
+        restore: ['rewrap', (callback, results) => {
+          cfg.keys['test-rewrap-2'] = kek;
+          callback();
+        }],
+        record: ['restore', callback =>
+          adapter.get(namespaces[0].id, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        should.exist(results.rewrap);
+        results.rewrap.name.should.equal('InvalidKey');
+        results.record.namespace.state.key.wrappedData.kekId.should.equal(
+          'test-rewrap-2');
+        done();
+      });
+    });
+  });
+
+  describe('DID-issued tokens', () => {
+    const did = 'did:example:1234';
+    const cfg = bedrock.config['jwt-mongodb'].did;
+    const resolver = helpers.didResolver;
+    const keys = {};
+    const sign = (key, kid) => jwt.sign(
+      {sub: 'urn:test:subject'}, keys[key].privateKey,
+      {algorithm: 'RS256', keyid: kid, issuer: did, expiresIn: 60});
+    before(() => {
+      ['first', 'second', 'other', 'replaced'].forEach(
+        key => keys[key] = helpers.generateKeyPair('rsa'));
+      resolver.documents.set(did, {
+        id: did,
+        publicKey: [{
+          id: did + '#key-1',
+          owner: did,
+          publicKeyPem: keys.first.publicKey
+        }, {
+          id: '#key-2',
+          owner: did,
+          publicKeyPem: keys.second.publicKey
+        }, {
+          id: did + '#key-3',
+          owner: 'did:example:other',
+          publicKeyPem: keys.other.publicKey
+        }]
+      });
+      cfg.issuers = [did];
+      brJwt.setDidResolver(resolver);
+    });
+    after(() => {
+      cfg.issuers = [];
+      brJwt.setDidResolver(new brJwt.DidIoResolver());
+    });
+
+    it('should verify a token with a key from the DID document', done => {
+      store.verify(sign('first', did + '#key-1'), (err, payload) => {
+        should.not.exist(err);
+        payload.sub.should.equal('urn:test:subject');
+        done();
+      });
+    });
+    it('should verify a token whose key ID is relative in the document',
+      done => {
+        store.verify(sign('second', did + '#key-2'), (err, payload) => {
+          should.not.exist(err);
+          payload.sub.should.equal('urn:test:subject');
+          done();
+        });
+      });
+    it('should reject a token whose key is not in the document', done => {
+      store.verify(sign('first', did + '#key-4'), err => {
+        should.exist(err);
+        err.name.should.equal('UnknownKey');
+        done();
+      });
+    });
+    it('should reject a token whose key is owned by another DID', done => {
+      store.verify(sign('other', did + '#key-3'), err => {
+        should.exist(err);
+        err.name.should.equal('UnknownKey');
+        done();
+      });
+    });
+    it('should resolve a replaced key at most once per interval', done => {
+      const token = sign('replaced', did + '#key-1');
+      resolver.documents.get(did).publicKey[0].publicKeyPem =
+        keys.replaced.publicKey;
+      const resolutions = resolver.resolutions.get(did);
+      async.auto({
+        throttled: callback => store.verify(
+          token, err => callback(null, err)),
+        refreshed: ['throttled', (callback, results) => {
+          cfg.refreshIntervalInSecs = 0;
+          store.verify(token, callback);
+        }]
+      }, (err, results) => {
+        cfg.refreshIntervalInSecs = 30;
+        should.not.exist(err);
+        should.exist(results.throttled);
+        results.throttled.name.should.equal('InvalidSignature');
+        results.refreshed.sub.should.equal('urn:test:subject');
+        resolver.resolutions.get(did).should.equal(resolutions + 1);
+        done();
+      });
+    });
+  });
+
+  describe('encrypted namespace', () => {
+    const namespace = {
+      id: 'test-dir',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600,
+      encryption: {algorithm: 'dir'}
+    };
+    before(done => store.provision(namespace, done));
+
+    it('should sign an encrypted token and verify it', done => {
+      async.auto({
+        sign: callback => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'}
+        }, callback),
+        verify: ['sign', (callback, results) =>
+          store.verify(results.sign, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.sign.split('.').should.have.length(5);
+        should.not.exist(jwt.decode(results.sign));
+        results.verify.sub.should.equal('urn:test:subject');
+        done();
+      });
+    });
+    it('should reject a token that cannot be decrypted', done => {
+      store.sign({
+        namespace: namespace.id,
+        payload: {sub: 'urn:test:subject'}
+      }, (err, token) => {
+        should.not.exist(err);
+        const parts = token.split('.');
+        parts[4] = parts[4].split('').reverse().join('');
+        store.verify(parts.join('.'), err => {
+          should.exist(err);
+          err.name.should.equal('DecryptionFailed');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('RSA-OAEP encrypted namespace', () => {
+    const namespace = {
+      id: 'test-rsa-oaep',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600,
+      encryption: {algorithm: 'RSA-OAEP', key: 'urn:test:key:rsa-oaep'}
+    };
+    const plain = {
+      id: 'test-rsa-oaep-plain',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600
+    };
+    const keys = {};
+    before(done => {
+      keys.recipient = helpers.keySource.addKey(
+        namespace.encryption.key, 'rsa');
+      // a key that no namespace encrypts to
+      keys.other = helpers.keySource.addKey('urn:test:key:rsa-other', 'rsa');
+      async.each([namespace, plain], store.provision.bind(store), done);
+    });
+
+    it('should sign an encrypted token and verify it', done => {
+      async.auto({
+        sign: callback => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'}
+        }, callback),
+        verify: ['sign', (callback, results) =>
+          store.verify(results.sign, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.sign.split('.').should.have.length(5);
+        results.verify.sub.should.equal('urn:test:subject');
+        done();
+      });
+    });
+    it('should not decrypt with a key no namespace encrypts to', done => {
+      store.sign({
+        namespace: plain.id,
+        payload: {sub: 'urn:test:subject'}
+      }, (err, token) => {
+        should.not.exist(err);
+        const encrypted = helpers.encrypt(
+          token, 'urn:test:key:rsa-other', keys.other.publicKey);
+        store.verify(encrypted, err => {
+          should.exist(err);
+          err.name.should.equal('UnknownKey');
+          done();
+        });
+      });
+    });
+    it('should reject an unencrypted token of the namespace', done => {
+      store.sign({
+        namespace: namespace.id,
+        payload: {sub: 'urn:test:subject'}
+      }, (err, token) => {
+        should.not.exist(err);
+        const signed = helpers.decrypt(token, keys.recipient.privateKey);
+        store.verify(signed, err => {
+          should.exist(err);
+          err.name.should.equal('MalformedToken');
+          done();
+        });
+      });
+    });
+    it('should reject a token encrypted for another namespace', done => {
+      store.sign({
+        namespace: plain.id,
+        payload: {sub: 'urn:test:subject'}
+      }, (err, token) => {
+        should.not.exist(err);
+        const encrypted = helpers.encrypt(
+          token, namespace.encryption.key, keys.recipient.publicKey);
+        store.verify(encrypted, err => {
+          should.exist(err);
+          err.name.should.equal('MalformedToken');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('namespace export and import', () => {
+    const namespace = {
+      id: 'test-export',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600
+    };
+    let bundle;
+    let token;
+    before(done => async.auto({
+      provision: callback => store.provision(namespace, callback),
+      sign: ['provision', (callback, results) => store.sign({
+        namespace: namespace.id,
+        payload: {sub: 'urn:test:subject'}
+      }, callback)],
+      export: ['sign', (callback, results) => store.exportNamespace(
+        namespace.id, {passphrase: 'test-passphrase'}, callback)]
+    }, (err, results) => {
+      if(err) {
+        return done(err);
+      }
+      token = results.sign;
+      bundle = results.export;
+      // import into an empty deployment
+      brJwt.setStorage(new brJwt.MemoryStorage());
+      done();
+    }));
+
+    it('should not import with the wrong passphrase', done => {
+      store.importNamespace(bundle, {passphrase: 'wrong'}, err => {
+        should.exist(err);
+        err.name.should.equal('InvalidPassphrase');
+        done();
+      });
+    });
+    it('should import and verify previously signed tokens', done => {
+      async.auto({
+        import: callback => store.importNamespace(
+          bundle, {passphrase: 'test-passphrase'}, callback),
+        verify: ['import', (callback, results) =>
+          store.verify(token, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.import.should.equal('created');
+        results.verify.sub.should.equal('urn:test:subject');
+        done();
+      });
+    });
+    it('should reject an import of an existing namespace', done => {
+      store.importNamespace(bundle, {passphrase: 'test-passphrase'}, err => {
+        should.exist(err);
+        err.name.should.equal('DuplicateError');
+        done();
+      });
+    });
+    it('should skip an import of an existing namespace', done => {
+      store.importNamespace(bundle, {
+        passphrase: 'test-passphrase',
+        onConflict: 'skip'
+      }, (err, result) => {
+        should.not.exist(err);
+        result.should.equal('skipped');
+        done();
+      });
+    });
+    it('should keep the existing keys when replacing a namespace', done => {
+      const sign = callback => store.sign({
+        namespace: namespace.id,
+        payload: {sub: 'urn:test:subject'}
+      }, callback);
+      const kid = token => jwt.decode(token, {complete: true}).header.kid;
+      async.auto({
+        // the existing namespace no longer has the bundle's key
+        rotate: callback => store.rotateKey(
+          namespace.id, {revokePrevious: true}, callback),
+        signExisting: ['rotate', (callback, results) => sign(callback)],
+        import: ['signExisting', (callback, results) => store.importNamespace(
+          bundle, {
+            passphrase: 'test-passphrase',
+            onConflict: 'replace'
+          }, callback)],
+        verify: ['import', (callback, results) =>
+          store.verify(token, callback)],
+        verifyExisting: ['import', (callback, results) =>
+          store.verify(results.signExisting, callback)],
+        signImported: ['import', (callback, results) => sign(callback)],
+        rotateAgain: ['verify', 'verifyExisting', 'signImported',
+          (callback, results) => store.rotateKey(namespace.id, callback)],
+        signRotated: ['rotateAgain', (callback, results) => sign(callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.import.should.equal('replaced');
+        results.verify.sub.should.equal('urn:test:subject');
+        results.verifyExisting.sub.should.equal('urn:test:subject');
+        // the imported key is used to sign
+        kid(results.signImported).should.equal(kid(token));
+        // new keys do not reuse the IDs of the existing keys
+        kid(results.signRotated).should.not.equal(
+          kid(results.signExisting));
+        done();
+      });
+    });
+    it('should reject a bundle with too many PBKDF2 iterations', done => {
+      const iterations = bedrock.config['jwt-mongodb'].export.pbkdf2Iterations;
+      const crafted = bedrock.util.clone(bundle);
+      crafted.kdf.iterations = iterations * 10 + 1;
+      store.importNamespace(crafted, {
+        passphrase: 'test-passphrase'
+      }, err => {
+        should.exist(err);
+        err.name.should.equal('MalformedBundle');
+        err.details.maxIterations.should.equal(iterations * 10);
+        done();
+      });
+    });
+    it('should reject a malformed bundle', done => {
+      store.importNamespace('not-a-bundle', {
+        passphrase: 'test-passphrase'
+      }, err => {
+        should.exist(err);
+        err.name.should.equal('MalformedBundle');
+        err.details.httpStatusCode.should.equal(400);
+        done();
+      });
+    });
+  });
+
+  describe('requireJwt middleware', () => {
+    const namespace = {
+      id: 'test-middleware',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600
+    };
+    const other = Object.assign({}, namespace, {id: 'test-middleware-other'});
+    // runs the middleware with a stand-in request and response
+    const run = (options, authorization, callback) => {
+      const headers = {};
+      const req = {
+        get: name => name === 'Authorization' ? authorization : undefined
+      };
+      const res = {set: (name, value) => headers[name] = value};
+      const middleware = brJwt.requireJwt(
+        Object.assign({store: store}, options));
+      middleware(req, res, err => callback(
+        null, {err: err, req: req, headers: headers}));
+    };
+    const sign = (id, payload) => callback => store.sign({
+      namespace: id,
+      payload: Object.assign({sub: 'urn:test:subject'}, payload)
+    }, callback);
+    before(done => async.auto({
+      provision: callback => store.provision(namespace, callback),
+      provisionOther: callback => store.provision(other, callback)
+    }, done));
+
+    it('should populate the request with a valid token', done => {
+      async.auto({
+        sign: sign(namespace.id, {scope: 'read'}),
+        run: ['sign', (callback, results) => run({
+          namespaces: [namespace.id],
+          requiredClaims: {scope: 'read'}
+        }, 'Bearer ' + results.sign, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        should.not.exist(results.run.err);
+        results.run.req.jwt.namespace.should.equal(namespace.id);
+        results.run.req.jwt.payload.sub.should.equal('urn:test:subject');
+        done();
+      });
+    });
+    it('should reject a request without a token', done => {
+      run({realm: 'test'}, undefined, (err, result) => {
+        result.err.name.should.equal('NotAllowedError');
+        result.err.details.httpStatusCode.should.equal(401);
+        result.headers['WWW-Authenticate'].should.equal(
+          'Bearer realm="test"');
+        should.not.exist(result.req.jwt);
+        done();
+      });
+    });
+    it('should reject a request with another authorization scheme', done => {
+      run({}, 'Basic dXNlcjpwYXNz', (err, result) => {
+        result.err.details.httpStatusCode.should.equal(401);
+        result.headers['WWW-Authenticate'].should.equal(
+          'Bearer error="invalid_request"');
+        done();
+      });
+    });
+    it('should reject a request with an invalid token', done => {
+      run({realm: 'test'}, 'Bearer not-a-token', (err, result) => {
+        result.err.name.should.equal('NotAllowedError');
+        result.err.details.httpStatusCode.should.equal(401);
+        result.err.cause.name.should.equal('MalformedToken');
+        result.headers['WWW-Authenticate'].should.equal(
+          'Bearer realm="test", error="invalid_token"');
+        should.not.exist(result.req.jwt);
+        done();
+      });
+    });
+    it('should reject a token of a namespace that is not allowed', done => {
+      async.auto({
+        sign: sign(other.id),
+        run: ['sign', (callback, results) => run({
+          namespaces: [namespace.id]
+        }, 'Bearer ' + results.sign, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.run.err.details.httpStatusCode.should.equal(403);
+        results.run.headers['WWW-Authenticate'].should.equal(
+          'Bearer error="insufficient_scope"');
+        should.not.exist(results.run.req.jwt);
+        done();
+      });
+    });
+    it('should reject a token without the required claims', done => {
+      async.auto({
+        sign: sign(namespace.id, {scope: 'write'}),
+        run: ['sign', (callback, results) => run({
+          requiredClaims: {scope: 'read', aud: undefined}
+        }, 'Bearer ' + results.sign, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.run.err.details.httpStatusCode.should.equal(403);
+        results.run.err.details.claims.should.deep.equal(['scope', 'aud']);
+        done();
+      });
+    });
+  });
+
+  describe('token revocation', () => {
+    const namespace = {
+      id: 'test-revocation',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600
+    };
+    before(done => store.provision(namespace, done));
+
+    it('should assign a jti when signing', done => {
+      store.sign({
+        namespace: namespace.id,
+        payload: {sub: 'urn:test:subject'},
+        jti: true
+      }, (err, token) => {
+        should.not.exist(err);
+        jwt.decode(token).jti.should.be.a('string');
+        done();
+      });
+    });
+    it('should reject a token revoked by its jti', done => {
+      async.auto({
+        sign: callback => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'},
+          jti: 'urn:test:jti:1'
+        }, callback),
+        other: callback => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'},
+          jti: 'urn:test:jti:2'
+        }, callback),
+        revoke: ['sign', 'other', (callback, results) => store.revoke({
+          namespace: namespace.id,
+          jti: 'urn:test:jti:1'
+        }, callback)],
+        verify: ['revoke', (callback, results) =>
+          store.verify(results.sign, err => callback(null, err))],
+        verifyOther: ['revoke', (callback, results) =>
+          store.verify(results.other, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        should.exist(results.verify);
+        results.verify.name.should.equal('TokenRevoked');
+        results.verifyOther.jti.should.equal('urn:test:jti:2');
+        done();
+      });
+    });
+    it('should reject a revoked token', done => {
+      async.auto({
+        sign: callback => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'},
+          jti: true
+        }, callback),
+        revoke: ['sign', (callback, results) =>
+          store.revoke({token: results.sign}, callback)],
+        verify: ['revoke', (callback, results) =>
+          store.verify(results.sign, err => callback(null, err))]
+      }, (err, results) => {
+        should.not.exist(err);
+        should.exist(results.verify);
+        results.verify.name.should.equal('TokenRevoked');
+        results.verify.details.httpStatusCode.should.equal(401);
+        done();
+      });
+    });
+    it('should not revoke a token without a jti', done => {
+      store.sign({
+        namespace: namespace.id,
+        payload: {sub: 'urn:test:subject'}
+      }, (err, token) => {
+        should.not.exist(err);
+        store.revoke({token: token}, err => {
+          should.exist(err);
+          err.name.should.equal('NotAllowedError');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('refresh tokens', () => {
+    const namespace = {
+      id: 'test-refresh',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600
+    };
+    const issue = callback => store.issueTokenPair({
+      namespace: namespace.id,
+      payload: {sub: 'urn:test:subject'}
+    }, callback);
+    let adapter;
+    before(done => {
+      adapter = new brJwt.MemoryStorage();
+      brJwt.setStorage(adapter);
+      store.provision(namespace, done);
+    });
+
+    it('should exchange a refresh token for a new token pair', done => {
+      async.auto({
+        issue: issue,
+        refresh: ['issue', (callback, results) =>
+          store.refresh(results.issue.refreshToken, callback)],
+        verify: ['refresh', (callback, results) =>
+          store.verify(results.refresh.accessToken, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.refresh.refreshToken.should.not.equal(
+          results.issue.refreshToken);
+        jwt.decode(results.issue.accessToken).jti.should.be.a('string');
+        results.verify.sub.should.equal('urn:test:subject');
+        results.verify.jti.should.not.equal(
+          jwt.decode(results.issue.accessToken).jti);
+        done();
+      });
+    });
+    it('should revoke the family when a refresh token is reused', done => {
+      async.auto({
+        issue: issue,
+        other: issue,
+        refresh: ['issue', (callback, results) =>
+          store.refresh(results.issue.refreshToken, callback)],
+        reuse: ['refresh', (callback, results) => store.refresh(
+          results.issue.refreshToken, err => callback(null, err))],
+        refreshNewer: ['reuse', (callback, results) => store.refresh(
+          results.refresh.refreshToken, err => callback(null, err))],
+        verifyFirst: ['reuse', (callback, results) => store.verify(
+          results.issue.accessToken, err => callback(null, err))],
+        verifyNewer: ['reuse', (callback, results) => store.verify(
+          results.refresh.accessToken, err => callback(null, err))],
+        refreshOther: ['reuse', 'other', (callback, results) =>
+          store.refresh(results.other.refreshToken, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        should.exist(results.reuse);
+        results.reuse.name.should.equal('RefreshTokenReused');
+        should.exist(results.refreshNewer);
+        results.refreshNewer.name.should.equal('TokenRevoked');
+        should.exist(results.verifyFirst);
+        results.verifyFirst.name.should.equal('TokenRevoked');
+        should.exist(results.verifyNewer);
+        results.verifyNewer.name.should.equal('TokenRevoked');
+        // other families are unaffected
+        results.refreshOther.accessToken.should.be.a('string');
+        done();
+      });
+    });
+    it('should not exchange a token revoked after it was read', done => {
+      const getRefreshToken = adapter.getRefreshToken;
+      async.auto({
+        issue: issue,
+        refresh: ['issue', (callback, results) => {
+          // revoke the family as if by a concurrent reuse, once the token
+          // has been read
+          adapter.getRefreshToken = function(token, callback) {
+            adapter.getRefreshToken = getRefreshToken;
+            getRefreshToken.call(this, token, (err, record) => {
+              if(err) {
+                return callback(err);
+              }
+              adapter.revokeRefreshTokenFamily(
+                record.family, err => callback(err, record));
+            });
+          };
+          store.refresh(
+            results.issue.refreshToken, (err, result) =>
+              callback(null, {err: err, result: result}));
+        }]
+      }, (err, results) => {
+        adapter.getRefreshToken = getRefreshToken;
+        should.not.exist(err);
+        should.not.exist(results.refresh.result);
+        should.exist(results.refresh.err);
+        results.refresh.err.name.should.equal('TokenRevoked');
+        done();
+      });
+    });
+    it('should reject an unknown refresh token', done => {
+      store.refresh('not-a-refresh-token', err => {
+        should.exist(err);
+        err.name.should.equal('InvalidRefreshToken');
+        err.details.httpStatusCode.should.equal(401);
+        done();
+      });
+    });
+    it('should reject an expired refresh token', done => {
+      const now = Date.now;
+      async.auto({
+        issue: callback => store.issueTokenPair({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'},
+          refreshTokenTtlInSecs: 1
+        }, callback),
+        refresh: ['issue', (callback, results) => {
+          Date.now = () => now() + 2000;
+          store.refresh(results.issue.refreshToken, err => {
+            Date.now = now;
+            callback(null, err);
+          });
+        }]
+      }, (err, results) => {
+        should.not.exist(err);
+        should.exist(results.refresh);
+        results.refresh.name.should.equal('InvalidRefreshToken');
+        done();
+      });
+    });
+  });
+
+  describe('token introspection', () => {
+    const namespace = {
+      id: 'test-introspect',
+      algorithm: 'HS256',
+      clockToleranceInSecs: 60,
+      tokenTtlInSecs: 3600
+    };
+    let token;
+    let adapter;
+    before(done => {
+      adapter = new brJwt.MemoryStorage();
+      brJwt.setStorage(adapter);
+      async.auto({
+        provision: callback => store.provision(namespace, callback),
+        sign: ['provision', (callback, results) => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'},
+          jti: true
+        }, callback)]
+      }, (err, results) => {
+        token = results && results.sign;
+        done(err);
+      });
+    });
+    // signs a token with the namespace's current key, bypassing the store
+    const forge = (payload, keyId, callback) => adapter.get(
+      namespace.id, (err, record) => {
+        if(err) {
+          return callback(err);
+        }
+        const key = record.namespace.state.key;
+        callback(null, jwt.sign(payload, Buffer.from(key.data, 'base64'), {
+          algorithm: 'HS256',
+          keyid: namespace.id + ':' + (keyId || key.id)
+        }));
+      });
+
+    it('should introspect an active token', done => {
+      store.introspect(token, (err, result) => {
+        should.not.exist(err);
+        result.active.should.be.true;
+        result.namespace.should.equal(namespace.id);
+        result.algorithm.should.equal('HS256');
+        result.claims.sub.should.equal('urn:test:subject');
+        result.expiresIn.should.be.within(3590, 3600);
+        should.not.exist(result.reason);
+        done();
+      });
+    });
+    it('should introspect a tampered token', done => {
+      const parts = token.split('.');
+      parts[2] = parts[2].split('').reverse().join('');
+      store.introspect(parts.join('.'), (err, result) => {
+        should.not.exist(err);
+        result.active.should.be.false;
+        result.namespace.should.equal(namespace.id);
+        result.reason.should.equal('invalidSignature');
+        should.not.exist(result.claims);
+        done();
+      });
+    });
+    it('should report the unverified claims if requested', done => {
+      const parts = token.split('.');
+      parts[2] = parts[2].split('').reverse().join('');
+      store.introspect(parts.join('.'), {includeUnverifiedClaims: true},
+        (err, result) => {
+          should.not.exist(err);
+          result.active.should.be.false;
+          result.claims.sub.should.equal('urn:test:subject');
+          done();
+        });
+    });
+    it('should introspect a token of an unknown namespace', done => {
+      const unknown = jwt.sign({sub: 'urn:test:subject'}, 'secret', {
+        algorithm: 'HS256',
+        keyid: 'test-introspect-unknown:1'
+      });
+      store.introspect(unknown, (err, result) => {
+        should.not.exist(err);
+        result.active.should.be.false;
+        result.namespace.should.equal('test-introspect-unknown');
+        result.reason.should.equal('unknownNamespace');
+        done();
+      });
+    });
+    it('should introspect an expired token', done => {
+      async.auto({
+        forge: callback => forge({
+          sub: 'urn:test:subject',
+          exp: Math.floor(Date.now() / 1000) - 3600
+        }, null, callback),
+        introspect: ['forge', (callback, results) =>
+          store.introspect(results.forge, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.introspect.active.should.be.false;
+        results.introspect.reason.should.equal('expired');
+        done();
+      });
+    });
+    it('should introspect a revoked token', done => {
+      async.auto({
+        sign: callback => store.sign({
+          namespace: namespace.id,
+          payload: {sub: 'urn:test:subject'},
+          jti: true
+        }, callback),
+        revoke: ['sign', (callback, results) =>
+          store.revoke({token: results.sign}, callback)],
+        introspect: ['revoke', (callback, results) =>
+          store.introspect(results.sign, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.introspect.active.should.be.false;
+        results.introspect.reason.should.equal('revoked');
+        done();
+      });
+    });
+    it('should not report a made-up key ID as rotated out', done => {
+      async.auto({
+        forge: callback => forge({sub: 'urn:test:subject'}, '1', callback),
+        introspect: ['forge', (callback, results) =>
+          store.introspect(results.forge, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.introspect.active.should.be.false;
+        results.introspect.reason.should.equal('unknownKey');
+        done();
+      });
+    });
+    it('should introspect a malformed token', done => {
+      store.introspect('not-a-token', (err, result) => {
+        should.not.exist(err);
+        result.active.should.be.false;
+        result.reason.should.equal('malformed');
+        done();
+      });
+    });
+    it('should introspect a token whose key was rotated out', done => {
+      async.auto({
+        rotate: callback => store.rotateKey(
+          namespace.id, {revokePrevious: true}, callback),
+        introspect: ['rotate', (callback, results) =>
+          store.introspect(token, callback)]
+      }, (err, results) => {
+        should.not.exist(err);
+        results.introspect.active.should.be.false;
+        results.introspect.reason.should.equal('keyRotatedOut');
+        done();
+      });
+    });
+  });
 });
@@ -0,0 +1,160 @@
+/*!
+ * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
+ */
+const bedrock = require('bedrock');
+const crypto = require('crypto');
+const BedrockError = bedrock.util.BedrockError;
+
+const api = {};
+module.exports = api;
+
+// key source that keeps generated keys in memory instead of `bedrock-key`
+class MemoryKeySource {
+  constructor() {
+    this._keys = new Map();
+  }
+
+  getPublicKey(id, options, callback) {
+    const key = this._keys.get(id);
+    if(!key) {
+      return process.nextTick(() => callback(new BedrockError(
+        'PublicKey not found.', 'NotFound', {key: id})));
+    }
+    const publicKey = {
+      id: id,
+      publicKeyPem: key.publicKeyPem,
+      sysStatus: key.sysStatus
+    };
+    const privateKey = options.privateKey ?
+      {privateKeyPem: key.privateKeyPem} : undefined;
+    process.nextTick(() => callback(null, publicKey, privateKey));
+  }
+
+  /**
+   * Generates a key.
+   *
+   * @param id the ID of the key.
+   * @param type the key type (`rsa`, `ec` or `ed25519`).
+   * @param [options] the key generation options (e.g. `namedCurve`).
+   *
+   * @return the key pair, see `generateKeyPair`.
+   */
+  addKey(id, type, options) {
+    const pair = api.generateKeyPair(type, options);
+    this._keys.set(id, {
+      publicKeyPem: pair.publicKey,
+      privateKeyPem: pair.privateKey,
+      sysStatus: 'active'
+    });
+    return pair;
+  }
+
+  revokeKey(id) {
+    this._keys.get(id).sysStatus = 'disabled';
+  }
+}
+
+// DID resolver that serves DID documents from memory instead of `did-io`
+class MemoryDidResolver {
+  constructor() {
+    this.documents = new Map();
+    // number of resolutions by DID
+    this.resolutions = new Map();
+  }
+
+  getDidDocument(did, callback) {
+    this.resolutions.set(did, (this.resolutions.get(did) || 0) + 1);
+    const document = this.documents.get(did);
+    if(!document) {
+      return process.nextTick(() => callback(new BedrockError(
+        'DID not found.', 'NotFound', {did: did, httpStatusCode: 404})));
+    }
+    process.nextTick(() => callback(null, bedrock.util.clone(document)));
+  }
+}
+
+api.keySource = new MemoryKeySource();
+api.didResolver = new MemoryDidResolver();
+
+/**
+ * Generates a PEM-encoded key pair.
+ *
+ * @param type the key type (`rsa`, `ec` or `ed25519`).
+ * @param [options] the key generation options (e.g. `namedCurve`).
+ *
+ * @return `{publicKey, privateKey}`.
+ */
+api.generateKeyPair = (type, options) =>
+  crypto.generateKeyPairSync(type, Object.assign({
+    modulusLength: 2048,
+    publicKeyEncoding: {type: 'spki', format: 'pem'},
+    privateKeyEncoding: {type: 'pkcs8', format: 'pem'}
+  }, options));
+
+/**
+ * Changes the `sub` of a signed token without updating its signature.
+ *
+ * @param token the signed token.
+ *
+ * @return the tampered token.
+ */
+api.tamper = token => {
+  const parts = token.split('.');
+  const payload = JSON.parse(Buffer.from(parts[1], 'base64url'));
+  payload.sub = 'urn:test:tampered';
+  parts[1] = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return parts.join('.');
+};
+
+/**
+ * Encrypts a signed token to an RSA key as a compact JWE, like a namespace
+ * with `RSA-OAEP` encryption.
+ *
+ * @param token the signed token.
+ * @param kid the ID of the recipient key.
+ * @param publicKeyPem the recipient key.
+ *
+ * @return the encrypted token.
+ */
+api.encrypt = (token, kid, publicKeyPem) => {
+  const header = Buffer.from(JSON.stringify(
+    {alg: 'RSA-OAEP', enc: 'A256GCM', cty: 'JWT', kid: kid}), 'utf8')
+    .toString('base64url');
+  const cek = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', cek, iv);
+  cipher.setAAD(Buffer.from(header, 'ascii'));
+  const ciphertext = Buffer.concat([
+    cipher.update(token, 'utf8'), cipher.final()]);
+  return [
+    header,
+    crypto.publicEncrypt({
+      key: publicKeyPem,
+      padding: crypto.constants.RSA_PKCS1_OAEP_PADDING
+    }, cek).toString('base64url'),
+    iv.toString('base64url'),
+    ciphertext.toString('base64url'),
+    cipher.getAuthTag().toString('base64url')
+  ].join('.');
+};
+
+/**
+ * Decrypts a compact JWE encrypted to an RSA key.
+ *
+ * @param token the encrypted token.
+ * @param privateKeyPem the recipient's private key.
+ *
+ * @return the signed token.
+ */
+api.decrypt = (token, privateKeyPem) => {
+  const parts = token.split('.').map(part => Buffer.from(part, 'base64url'));
+  const cek = crypto.privateDecrypt({
+    key: privateKeyPem,
+    padding: crypto.constants.RSA_PKCS1_OAEP_PADDING
+  }, parts[1]);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', cek, parts[2]);
+  decipher.setAAD(Buffer.from(token.split('.')[0], 'ascii'));
+  decipher.setAuthTag(parts[4]);
+  return Buffer.concat([decipher.update(parts[3]), decipher.final()])
+    .toString('utf8');
+};
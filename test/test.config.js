@@ -1,14 +1,34 @@
 /*!
  * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
  */
-const config = require('bedrock').config;
+const bedrock = require('bedrock');
+const config = bedrock.config;
 const path = require('path');
 
 config.mocha.tests.push(path.join(__dirname, 'mocha'));
 
-// MongoDB
-config.mongodb.name = 'bedrock_jwt_mongodb_test';
-config.mongodb.host = 'localhost';
-config.mongodb.port = 27017;
-config.mongodb.dropCollections.onInit = true;
-config.mongodb.dropCollections.collections = [];
+// keys are maintained explicitly by the tests
+config['jwt-mongodb'].worker.enable = false;
+
+// namespaces provisioned at startup; `test-startup-existing` is provisioned
+// before startup with other options and is then updated to match
+config['jwt-mongodb'].namespaces.push({
+  id: 'test-startup',
+  algorithm: 'HS256',
+  clockToleranceInSecs: 60,
+  tokenTtlInSecs: 3600
+}, {
+  id: 'test-startup-existing',
+  algorithm: 'HS256',
+  tokenTtlInSecs: 7200
+});
+bedrock.events.on('bedrock.init', callback => {
+  const brJwt = require('bedrock-jwt-mongodb');
+  new brJwt.Store().provision({
+    id: 'test-startup-existing',
+    algorithm: 'HS256',
+    clockToleranceInSecs: 30,
+    tokenTtlInSecs: 3600,
+    claimPolicy: {issuer: 'urn:test:issuer'}
+  }, callback);
+});
@@ -2,7 +2,12 @@
  * Copyright (c) 2017 Digital Bazaar, Inc. All rights reserved.
  */
 const bedrock = require('bedrock');
-require('bedrock-jwt-mongodb');
+const brJwt = require('bedrock-jwt-mongodb');
+const helpers = require('./mocha/helpers');
+
+// run without MongoDB and `bedrock-key`
+brJwt.setStorage(new brJwt.MemoryStorage());
+brJwt.setKeySource(helpers.keySource);
 
 require('bedrock-test');
 bedrock.start();